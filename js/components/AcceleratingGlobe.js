@@ -1,10 +1,15 @@
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
 import { Config } from '../modules.js';
+import { motion } from '../utils/motion.js';
+import { scrollService } from '../utils/scrollService.js';
 
 export class AcceleratingGlobe {
+  static selector = '[data-accelerating-globe]';
+
   constructor() {
     this.timelines = [];
-    this.scrollHandler = null;
+    this.inView = new Set(); // Timelines whose globe is on screen
+    this.unsubscribeScroll = null;
   }
 
   init() {
@@ -47,39 +52,47 @@ export class AcceleratingGlobe {
 
       // Visibility Check: Pause when out of view
       if (window.observeWith) {
-        window.observeWith(globe, { threshold: 0 }, (entry) => {
-          if (entry.isIntersecting) {
-            console.log('[AcceleratingGlobe] In View - PLAY');
-            tl.play();
-          } else {
-            console.log('[AcceleratingGlobe] Out of View - PAUSE');
-            tl.pause();
-          }
-        });
+        window.observeWith(
+          globe,
+          { threshold: 0 },
+          (entry) => {
+            if (entry.isIntersecting) {
+              this.inView.add(tl);
+              if (motion.reduced) return;
+              console.log('[AcceleratingGlobe] In View - PLAY');
+              tl.play();
+            } else {
+              this.inView.delete(tl);
+              console.log('[AcceleratingGlobe] Out of View - PAUSE');
+              tl.pause();
+            }
+          },
+          this.scope,
+        );
       }
     });
 
+    // Reduced motion: hold every globe still, resume the visible ones when switched back
+    this.unsubscribeMotion = motion.subscribe((reduced) => {
+      this.timelines.forEach((tl) => {
+        if (reduced) tl.pause();
+        else if (this.inView.has(tl)) tl.play();
+      });
+    });
+
     // Setup Scroll Listener for Acceleration (Desktop Only)
     const isMobile = window.innerWidth < Config.System.desktopBreakpoint;
 
     if (!isMobile) {
-      let lastY = window.scrollY;
-      let lastT = performance.now();
       let stopTimeout;
 
-      this.scrollHandler = () => {
+      this.unsubscribeScroll = scrollService.subscribe(({ velocity }) => {
         // Only accelerate if we have active timelines
-        if (this.timelines.length === 0) return;
+        if (this.timelines.length === 0 || motion.reduced) return;
+        if (velocity === 0) return;
 
-        const now = performance.now();
-        const dy = window.scrollY - lastY;
-        const dt = now - lastT;
-        lastY = window.scrollY;
-        lastT = now;
-
-        // Calculate velocity (pixels per second), use absolute value for speed scalar
-        const velocity = dt > 0 ? (dy / dt) * 1000 : 0;
-        const boost = Math.abs(velocity * 0.005);
+        // Lenis velocity is px per frame: x60 for px/s, use absolute value for speed scalar
+        const boost = Math.abs(velocity * 60 * 0.005);
         const targetScale = boost + 1;
 
         // Apply timeScale to all active timelines
@@ -97,17 +110,19 @@ export class AcceleratingGlobe {
             });
           });
         }, 100);
-      };
-
-      window.addEventListener('scroll', this.scrollHandler, { passive: true });
+      });
     }
   }
 
   destroy() {
-    // Remove listener
-    if (this.scrollHandler) {
-      window.removeEventListener('scroll', this.scrollHandler);
-      this.scrollHandler = null;
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
+    this.unsubscribeMotion = null;
+    this.inView.clear();
+
+    // Stop following scroll
+    if (this.unsubscribeScroll) {
+      this.unsubscribeScroll();
+      this.unsubscribeScroll = null;
     }
 
     // Kill timelines
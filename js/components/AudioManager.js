@@ -1,4 +1,8 @@
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+import { events, AppEvents } from '../utils/events.js';
+import { assets } from '../utils/AssetManager.js';
+import { i18n } from '../utils/i18n.js';
+import { Config } from '../settings.js';
 
 export class AudioManager {
   constructor() {
@@ -6,18 +10,21 @@ export class AudioManager {
     this.isPlaying = false;
     this.isMuted = false;
     this.volume = 0.5; // Target volume
-    this.trackUrl =
-      'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/audio/ambient_audio.mp4'; // Placeholder
+    this.track = Config.Assets.ambientAudio;
 
     this.init();
   }
 
   init() {
-    // Create audio element programmatically to ensure it exists
-    this.audio = new Audio(this.trackUrl);
+    // Element exists right away; the AssetManager buffers it after critical assets
+    assets.load(this.track.path, {
+      type: 'audio',
+      id: 'ambient-audio',
+      priority: this.track.priority,
+    });
+    this.audio = assets.get('ambient-audio');
     this.audio.loop = true;
     this.audio.volume = 0; // Start silent for fade-in
-    this.audio.preload = 'auto';
 
     // Visibility API for pausing (optional, but good for background)
     document.addEventListener('visibilitychange', () => {
@@ -116,7 +123,7 @@ export class AudioManager {
   updateUI() {
     const btn = document.getElementById('audio-toggle');
     if (btn) {
-      const newText = this.isMuted ? 'SOUND OFF' : 'SOUND ON';
+      const newText = i18n.t(this.isMuted ? 'audio.off' : 'audio.on');
       btn.textContent = newText;
       btn.style.opacity = this.isMuted ? '0.5' : '1.0';
 
@@ -132,5 +139,7 @@ export class AudioManager {
         btn.style.width = '';
       }
     }
+
+    events.emit(AppEvents.AUDIO_MUTE, { muted: this.isMuted });
   }
 }
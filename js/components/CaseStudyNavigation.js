@@ -1,11 +1,21 @@
+import { getAnchorOffset, setHash } from '../utils/anchors.js';
+import { events, AppEvents } from '../utils/events.js';
+import { shortcuts } from '../utils/shortcuts.js';
+import { scrollService } from '../utils/scrollService.js';
 
 export class CaseStudyNavigation {
+    static selector = '.case-study_section-indicator-wrapper';
+
     constructor() {
         this.wrapper = null;
         this.indicators = [];
         this.sections = [];
         this.lenis = null;
         this.boundUpdate = null;
+        this.unsubscribeScroll = null;
+        this.reached = new Set(); // Section indexes already reported
+        this.activeIndex = -1;
+        this.offShortcuts = [];
     }
 
     init(lenis) {
@@ -45,30 +55,61 @@ export class CaseStudyNavigation {
             this.wrapper.appendChild(link);
             this.indicators.push({ link, section });
 
-            // Click Handler (Smooth Scroll)
+            // Click Handler (Smooth Scroll + shareable hash)
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                if (this.lenis) {
-                    this.lenis.scrollTo(section, { offset: 0 }); // Adjustable offset if needed
-                } else {
-                    section.scrollIntoView({ behavior: 'smooth' });
-                }
+                this.goTo(idx);
             });
         });
 
-        // Scroll Listener
+        // J/K step through the sections
+        this.offShortcuts = [
+            shortcuts.register({
+                key: 'j',
+                description: 'shortcuts.nextSection',
+                handler: () => this.step(1),
+            }),
+            shortcuts.register({
+                key: 'k',
+                description: 'shortcuts.prevSection',
+                handler: () => this.step(-1),
+            }),
+        ];
+
+        // Follow the shared Lenis scroll (subscribe runs the initial check)
         this.boundUpdate = this.updateIndicator.bind(this);
-        window.addEventListener('scroll', this.boundUpdate, { passive: true });
+        this.unsubscribeScroll = scrollService.subscribe(this.boundUpdate);
         window.addEventListener('resize', this.boundUpdate, { passive: true });
+    }
+
+    goTo(idx) {
+        const section = this.sections[idx];
+        if (!section) return;
+        if (this.lenis) {
+            this.lenis.scrollTo(section, { offset: -getAnchorOffset() });
+        } else {
+            section.scrollIntoView({ behavior: 'smooth' });
+        }
+        setHash(section.id);
+    }
 
-        // Initial check
-        this.updateIndicator();
+    // Outside every section (above the first, below the last) step to the nearest one
+    step(direction) {
+        let idx = this.activeIndex + direction;
+        if (this.activeIndex === -1) {
+            const middle = window.innerHeight / 2;
+            const tops = Array.from(this.sections, (section) => section.getBoundingClientRect().top);
+            idx = direction > 0
+                ? tops.findIndex((top) => top > middle)
+                : tops.filter((top) => top < middle).length - 1;
+        }
+        if (idx >= 0 && idx < this.sections.length) this.goTo(idx);
     }
 
     updateIndicator() {
         if (!this.sections.length) return;
 
-        const scrollMiddle = window.scrollY + (window.innerHeight / 2);
+        const scrollMiddle = scrollService.scroll + (window.innerHeight / 2);
         let activeIndex = -1;
 
         // Find custom active section logic
@@ -92,6 +133,16 @@ export class CaseStudyNavigation {
             }
         }
 
+        this.activeIndex = activeIndex;
+
+        if (activeIndex !== -1 && !this.reached.has(activeIndex)) {
+            this.reached.add(activeIndex);
+            events.emit(AppEvents.SECTION_REACH, {
+                index: activeIndex,
+                name: this.sections[activeIndex].getAttribute('data-section-name'),
+            });
+        }
+
         // Update Classes
         this.indicators.forEach((item, idx) => {
             if (idx === activeIndex) {
@@ -103,12 +154,16 @@ export class CaseStudyNavigation {
     }
 
     destroy() {
+        if (this.unsubscribeScroll) this.unsubscribeScroll();
+        this.unsubscribeScroll = null;
         if (this.boundUpdate) {
-            window.removeEventListener('scroll', this.boundUpdate);
             window.removeEventListener('resize', this.boundUpdate);
         }
+        this.offShortcuts.forEach((off) => off());
+        this.offShortcuts = [];
         this.indicators = [];
         this.sections = [];
+        this.reached.clear();
         this.wrapper = null;
         this.lenis = null;
     }
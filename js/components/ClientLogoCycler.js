@@ -1,4 +1,10 @@
+import { motion } from '../utils/motion.js';
+import { assetUrl } from '../utils/assetUrl.js';
+import { Config } from '../settings.js';
+
 export class ClientLogoCycler {
+  static selector = '[data-client-logo]';
+
   constructor() {
     this.logos = [
       'APTDC.png',
@@ -17,8 +23,7 @@ export class ClientLogoCycler {
       'Svayam.png',
       'Tedy.png',
     ];
-    this.basePath =
-      'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/images/client-logos/';
+    this.basePath = assetUrl(Config.Assets.clientLogos);
     this.cycleInterval = 3000;
     this.intervalId = null;
     this.slots = [];
@@ -73,6 +78,7 @@ export class ClientLogoCycler {
 
     this.intervalId = setInterval(() => {
       if (document.hidden) return; // Pause if tab hidden
+      if (motion.reduced) return; // Logos stay put with reduced motion
 
       this.cycleOneSlot();
     }, this.cycleInterval);
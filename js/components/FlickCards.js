@@ -1,10 +1,14 @@
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
 import Draggable from 'https://unpkg.com/gsap@3.12.5/Draggable.js?module';
 import { HeadingSplitText } from '../modules.js';
+import { events, AppEvents } from '../utils/events.js';
+import { shortcuts, isFocusedWithin } from '../utils/shortcuts.js';
 
 gsap.registerPlugin(Draggable);
 
 export class FlickCards {
+  static selector = '[data-flick-cards-init]';
+
   constructor() {
     this.sliders = [];
   }
@@ -33,6 +37,7 @@ export class FlickCards {
       }
 
       let activeIndex = 0;
+      let reportedIndex = -1; // Last project announced on the event bus
       const sliderWidth = slider.offsetWidth;
       const threshold = 0.1;
 
@@ -77,6 +82,16 @@ export class FlickCards {
       };
 
       const renderCards = (currentIndex) => {
+        if (currentIndex !== reportedIndex) {
+          reportedIndex = currentIndex;
+          events.emit(AppEvents.PROJECT_CHANGE, {
+            index: currentIndex,
+            project: cards[currentIndex].getAttribute(
+              'data-flick-cards-item-desc',
+            ),
+          });
+        }
+
         cards.forEach((card, i) => {
           const cfg = getConfig(i, currentIndex);
           let status;
@@ -221,10 +236,30 @@ export class FlickCards {
       if (leftBtn) leftBtn.addEventListener('click', handleLeft);
       if (rightBtn) rightBtn.addEventListener('click', handleRight);
 
+      // Arrow keys drive the slider that has focus or the pointer
+      if (!slider.hasAttribute('tabindex'))
+        slider.setAttribute('tabindex', '0');
+      const isFocused = () => isFocusedWithin(slider);
+      const offShortcuts = [
+        shortcuts.register({
+          key: 'ArrowLeft',
+          description: 'shortcuts.prevCard',
+          when: isFocused,
+          handler: handleLeft,
+        }),
+        shortcuts.register({
+          key: 'ArrowRight',
+          description: 'shortcuts.nextCard',
+          when: isFocused,
+          handler: handleRight,
+        }),
+      ];
+
       // Store instance for cleanup
       this.sliders.push({
         slider,
         draggables: draggableInstance,
+        offShortcuts,
         buttons: {
           left: leftBtn,
           right: rightBtn,
@@ -239,6 +274,7 @@ export class FlickCards {
     this.sliders.forEach((item) => {
       // Draggable.create returns an array
       item.draggables.forEach((d) => d.kill());
+      item.offShortcuts.forEach((off) => off());
 
       // Clean up button listeners
       if (item.buttons) {
@@ -1,55 +1,102 @@
 import { gsap, ScrollTrigger, SplitText } from '../modules.js';
+import { motion } from '../utils/motion.js';
+import { i18n } from '../utils/i18n.js';
 
 export class HeadingSplitText {
+  static selector = [
+    '.heading-style-h1',
+    '.heading-style-h2',
+    '.heading-style-h3',
+    '.heading-style-h4',
+    '.heading-style-h5',
+    '.heading-style-h6',
+  ].join(', ');
+
   constructor() {
     this.instances = [];
   }
 
   init(container = document) {
-    const selectors = [
-      '.heading-style-h1',
-      '.heading-style-h2',
-      '.heading-style-h3',
-      '.heading-style-h4',
-      '.heading-style-h5',
-      '.heading-style-h6',
-    ];
+    // Reduced motion: headings stay plain, fully visible text
+    if (motion.reduced) return;
 
-    const elements = container.querySelectorAll(selectors.join(', '));
+    const elements = container.querySelectorAll(HeadingSplitText.selector);
 
     elements.forEach((el) => {
-      // Split text by words
-      const split = new SplitText(el, { type: 'words' });
-
-      const anim = gsap.from(split.words, {
-        scrollTrigger: {
-          trigger: el,
-          start: 'top 85%', // Trigger when top of element is at 85% of viewport height
-          once: true,
-          // toggleActions: 'play none none reverse', // Removed to ensure it only plays once
-        },
-        duration: 1,
-        y: 20,
-        opacity: 0,
-        stagger: 0.1,
-        ease: 'power3.out',
+      this.instances.push(this.setup(el, true));
+    });
+
+    // Locale switch: the word spans hold the old text, so split again
+    this.locale = i18n.locale;
+    this.unsubscribeLocale = i18n.subscribe((locale) => {
+      if (locale === this.locale) return;
+      this.locale = locale;
+      this.resplit();
+    });
+
+    // Switched to reduced motion mid-page: jump every reveal to its end state
+    this.unsubscribeMotion = motion.subscribe((reduced) => {
+      if (!reduced) return;
+      this.instances.forEach(({ anim }) => {
+        if (anim) anim.progress(1).kill();
       });
+    });
+  }
 
-      this.instances.push({ split, anim });
+  // Split text by words; `animate` false leaves the words in place (already revealed)
+  setup(el, animate) {
+    const split = new SplitText(el, { type: 'words' });
+    el.__i18nSplit = true; // Locale switches go through resplit()
+    if (!animate) return { el, split, anim: null };
+
+    const anim = gsap.from(split.words, {
+      scrollTrigger: {
+        trigger: el,
+        start: 'top 85%', // Trigger when top of element is at 85% of viewport height
+        once: true,
+        // toggleActions: 'play none none reverse', // Removed to ensure it only plays once
+      },
+      duration: 1,
+      y: 20,
+      opacity: 0,
+      stagger: 0.1,
+      ease: 'power3.out',
+    });
+    return { el, split, anim };
+  }
+
+  resplit() {
+    this.instances = this.instances.map(({ el, split, anim }) => {
+      // Headings that already revealed must not play again
+      const revealed = !anim || anim.progress() > 0;
+      if (anim) {
+        if (anim.scrollTrigger) anim.scrollTrigger.kill();
+        anim.progress(1).kill();
+      }
+      split.revert(); // Restores the pre-split (old locale) markup
+      el.__i18nSplit = false;
+      i18n.translate(el);
+      return this.setup(el, !revealed && !motion.reduced);
     });
   }
 
   destroy() {
-    this.instances.forEach(({ split, anim }) => {
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
+    this.unsubscribeMotion = null;
+    if (this.unsubscribeLocale) this.unsubscribeLocale();
+    this.unsubscribeLocale = null;
+
+    this.instances.forEach(({ el, split, anim }) => {
       if (anim && anim.scrollTrigger) anim.scrollTrigger.kill();
       if (anim) anim.kill();
       if (split) split.revert();
+      el.__i18nSplit = false;
     });
     this.instances = [];
   }
 
   static animateElement(element) {
-    if (!element) return;
+    if (!element || motion.reduced) return;
 
     // Cleanup previous split if it exists (basic check)
     // For a more robust solution, we'd track instances, but for this specific use case,
@@ -1,3 +1,5 @@
+import { shortcuts } from '../utils/shortcuts.js';
+
 export class Navigation {
   constructor() {
     this.init();
@@ -22,14 +24,23 @@ export class Navigation {
         });
       });
 
-    // Key ESC - Close Navigation
-    document.addEventListener('keydown', (e) => {
-      if (e.keyCode === 27) {
-        this.close();
-      }
+    // Key ESC - Close Navigation (the shortcut help overlay closes first)
+    shortcuts.register({
+      key: 'Escape',
+      description: 'shortcuts.closeMenu',
+      when: () => this.isOpen() && !shortcuts.isHelpOpen(),
+      handler: () => this.close(),
     });
   }
 
+  isOpen() {
+    const navStatusEl = document.querySelector('[data-navigation-status]');
+    return (
+      !!navStatusEl &&
+      navStatusEl.getAttribute('data-navigation-status') === 'active'
+    );
+  }
+
   toggle() {
     const navStatusEl = document.querySelector('[data-navigation-status]');
     if (!navStatusEl) return;
@@ -1,6 +1,7 @@
 export class ScrollBender {
   constructor() {
     this.cache = [];
+    this.enabled = true;
     this.resize();
     this.initEvents();
   }
@@ -36,8 +37,18 @@ export class ScrollBender {
     });
   }
 
+  // Reduced motion: flatten every element and stop updating
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled) return;
+    this.cache.forEach((item) => {
+      item.el.style.transform = '';
+      item.lastAngle = 0;
+    });
+  }
+
   update(currentScrollY) {
-    if (!this.cache.length) return;
+    if (!this.enabled || !this.cache.length) return;
     if (window.innerWidth < 768) return; // Disable bending on mobile for performance
 
     const viewportHeight = window.innerHeight;
@@ -1,4 +1,6 @@
 export class ServiceCards {
+  static selector = '.service-card';
+
   constructor() {
     this.boundHandleClick = this.handleClick.bind(this);
     this.isInitialized = false;
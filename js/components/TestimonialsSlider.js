@@ -2,6 +2,9 @@ import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
 import Draggable from 'https://unpkg.com/gsap@3.12.5/Draggable.js?module';
 import CustomEase from 'https://unpkg.com/gsap@3.12.5/CustomEase.js?module';
 import ScrollTrigger from 'https://unpkg.com/gsap@3.12.5/ScrollTrigger.js?module';
+import { events, AppEvents } from '../utils/events.js';
+import { motion } from '../utils/motion.js';
+import { shortcuts, isFocusedWithin } from '../utils/shortcuts.js';
 
 // Register standard plugins
 gsap.registerPlugin(Draggable, ScrollTrigger, CustomEase);
@@ -10,6 +13,8 @@ gsap.registerPlugin(Draggable, ScrollTrigger, CustomEase);
 CustomEase.create('osmo-ease', '0.625, 0.05, 0, 1');
 
 export class TestimonialsSlider {
+  static selector = '[data-centered-slider="wrapper"]';
+
   constructor() {
     this.sliders = [];
   }
@@ -71,6 +76,7 @@ export class TestimonialsSlider {
         center: true,
         onChange: (element, index) => {
           currentIndex = index;
+          events.emit(AppEvents.TESTIMONIAL_VIEW, { index });
 
           if (activeElement) activeElement.classList.remove('active');
           element.classList.add('active');
@@ -97,6 +103,9 @@ export class TestimonialsSlider {
       loop.toIndex(Math.min(2, slides.length - 1), { duration: 0.01 });
 
       const startAutoplay = () => {
+        // Hold autoplay while the entry loader still covers the page
+        if (!events.last(AppEvents.LOADER_ENTERED)) return;
+        if (motion.reduced) return;
         if (autoplayDuration > 0 && !autoplay) {
           const repeat = () => {
             loop.next({ ease: 'expo.out', duration: 1 });
@@ -133,6 +142,17 @@ export class TestimonialsSlider {
       sliderWrapper.addEventListener('mouseenter', onEnter);
       sliderWrapper.addEventListener('mouseleave', onLeave);
 
+      // Start once the visitor is through the loader
+      const offEntered = events.on(AppEvents.LOADER_ENTERED, onLeave);
+      // No slides moving under the page transition
+      const offRouteLeave = events.on(AppEvents.ROUTE_LEAVE, stopAutoplay);
+
+      // Reduced motion: no autoplay, slides only move on user input
+      const offMotion = motion.subscribe((reduced) => {
+        if (reduced) stopAutoplay();
+        else onLeave();
+      });
+
       // Slide click event
       slides.forEach((slide, i) => {
         slide.addEventListener('click', () => {
@@ -160,32 +180,50 @@ export class TestimonialsSlider {
         });
       }
 
-      // Button listeners
-      let prevHandler, nextHandler;
-      if (prevButton) {
-        prevHandler = () => {
-          let newIndex = currentIndex - 1;
-          if (newIndex < 0) newIndex = slides.length - 1;
-          loop.toIndex(newIndex, { ease: 'expo.out', duration: 1 });
-        };
-        prevButton.addEventListener('click', prevHandler);
-      }
+      // Button listeners (also used by the arrow key shortcuts)
+      const prevHandler = () => {
+        let newIndex = currentIndex - 1;
+        if (newIndex < 0) newIndex = slides.length - 1;
+        loop.toIndex(newIndex, { ease: 'expo.out', duration: 1 });
+      };
+      const nextHandler = () => {
+        let newIndex = currentIndex + 1;
+        if (newIndex >= slides.length) newIndex = 0;
+        loop.toIndex(newIndex, { ease: 'expo.out', duration: 1 });
+      };
+      if (prevButton) prevButton.addEventListener('click', prevHandler);
+      if (nextButton) nextButton.addEventListener('click', nextHandler);
 
-      if (nextButton) {
-        nextHandler = () => {
-          let newIndex = currentIndex + 1;
-          if (newIndex >= slides.length) newIndex = 0;
-          loop.toIndex(newIndex, { ease: 'expo.out', duration: 1 });
-        };
-        nextButton.addEventListener('click', nextHandler);
+      // Arrow keys drive the slider that has focus or the pointer
+      if (!sliderWrapper.hasAttribute('tabindex')) {
+        sliderWrapper.setAttribute('tabindex', '0');
       }
+      const isFocused = () => isFocusedWithin(sliderWrapper);
+      const offShortcuts = [
+        shortcuts.register({
+          key: 'ArrowLeft',
+          description: 'shortcuts.prevTestimonial',
+          when: isFocused,
+          handler: prevHandler,
+        }),
+        shortcuts.register({
+          key: 'ArrowRight',
+          description: 'shortcuts.nextTestimonial',
+          when: isFocused,
+          handler: nextHandler,
+        }),
+      ];
 
       // Store for cleanup
       this.sliders.push({
         wrapper: sliderWrapper,
         loop: loop,
         st: st,
-        autoplay: autoplay,
+        stopAutoplay,
+        offEntered,
+        offRouteLeave,
+        offMotion,
+        offShortcuts,
         listeners: {
           onEnter,
           onLeave,
@@ -205,8 +243,12 @@ export class TestimonialsSlider {
     this.sliders.forEach((item) => {
       // Kill ScrollTrigger
       if (item.st) item.st.kill();
-      // Kill Autoplay
-      if (item.autoplay) item.autoplay.kill();
+      // Kill Autoplay (the delayedCall is recreated on each cycle, so go through the closure)
+      item.stopAutoplay();
+      item.offEntered();
+      item.offRouteLeave();
+      item.offMotion();
+      item.offShortcuts.forEach((off) => off());
       // Kill Loop (Timeline)
       if (item.loop) {
         // Look provided logic returns timeline. Timeline can be killed.
@@ -1,4 +1,5 @@
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+import { motion } from '../utils/motion.js';
 
 export class TextScrambler {
   constructor() {
@@ -8,10 +9,10 @@ export class TextScrambler {
   }
 
   init() {
-    // Check for reduced motion preference
-    this.prefersReduced = matchMedia(
-      '(prefers-reduced-motion: reduce)'
-    ).matches;
+    // Follow the site-wide motion policy (OS preference or the toggle)
+    this.unsubscribeMotion = motion.subscribe((reduced) => {
+      this.prefersReduced = reduced;
+    });
 
     // Bind methods
     this.boundRelockAll = this.relockAll.bind(this);
@@ -126,6 +127,7 @@ export class TextScrambler {
 
   destroy() {
     // Clean up listeners
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
     window.removeEventListener('resize', this.boundResizeRef);
     document.removeEventListener('pointerover', this.boundPointerOver, true);
     document.removeEventListener('focusin', this.boundFocusIn);
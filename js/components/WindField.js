@@ -38,6 +38,10 @@ export class WindField {
         this.read = this.rtA;
         this.write = this.rtB;
 
+        // CPU-side upper bound of the field's velocity, so callers can tell when
+        // it has settled without reading the texture back
+        this.energy = 0;
+
         this.scene = new THREE.Scene();
         this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
         this.material = new THREE.ShaderMaterial({
@@ -120,6 +124,7 @@ export class WindField {
     }
 
     clear() {
+        this.energy = 0;
         const prevRT = this.renderer.getRenderTarget();
         this.renderer.setRenderTarget(this.rtA);
         this.renderer.clear(true, false, false);
@@ -131,9 +136,12 @@ export class WindField {
     update(mouseUv, mouseDir, dt) {
         this.material.uniforms.tVelocity.value = this.read.texture;
         this.material.uniforms.dt.value = dt;
+        let injected = 0;
         if (mouseUv && mouseUv.x >= 0.0 && mouseUv.y >= 0.0) {
             this.material.uniforms.brushPos.value.set(mouseUv.x, mouseUv.y);
             this.material.uniforms.brushDir.value.set(mouseDir.x, mouseDir.y);
+            const strength = Math.min(this.params.injectionStrength, this.params.injectionStrengthMax);
+            injected = Math.hypot(mouseDir.x, mouseDir.y) * strength;
         } else {
             this.material.uniforms.brushPos.value.set(-1, -1);
             this.material.uniforms.brushDir.value.set(0, 0);
@@ -145,6 +153,9 @@ export class WindField {
         this.renderer.setRenderTarget(prev);
 
         const tmp = this.read; this.read = this.write; this.write = tmp;
+
+        // Advection and diffusion never raise the peak; decay scales it every step
+        this.energy = this.energy * Math.min(this.params.decay, 1.0) + injected;
     }
 
     get texture() {
@@ -0,0 +1,64 @@
+/**
+ * English (default locale)
+ * Flat keys; `{name}` placeholders are filled by i18n.t(key, vars).
+ * Page content keys are optional: elements fall back to their HTML text.
+ */
+export const en = {
+  'loader.loading': 'Loading',
+  'loader.progress': 'Loading {percent}%',
+  'loader.calibrating': 'Calibrating...',
+  'loader.enter': 'Click to Enter',
+  'loader.enterMuted': 'Enter without audio',
+  'loader.welcomeBack': 'Welcome back',
+  'loader.soundPrompt': 'Tap for sound',
+
+  'nav.home': 'Home',
+  'nav.about': 'About',
+  'nav.work': 'Work',
+  'audio.on': 'SOUND ON',
+  'audio.off': 'SOUND OFF',
+  'motion.on': 'MOTION ON',
+  'motion.off': 'MOTION OFF',
+  'entry.reset': 'RESET INTRO',
+  'entry.resetTitle': 'Show the entry screen again on the next visit',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.help': 'Show or hide this list',
+  'shortcuts.close': 'Close this list',
+  'shortcuts.closeMenu': 'Close the menu',
+  'shortcuts.mute': 'Sound on / off',
+  'shortcuts.prevCard': 'Previous card (focused slider)',
+  'shortcuts.nextCard': 'Next card (focused slider)',
+  'shortcuts.prevTestimonial': 'Previous testimonial (focused slider)',
+  'shortcuts.nextTestimonial': 'Next testimonial (focused slider)',
+  'shortcuts.nextSection': 'Next case study section',
+  'shortcuts.prevSection': 'Previous case study section',
+  'shortcuts.debug': 'Stats and debug HUD',
+  'shortcuts.tweaks': 'Tweak panel',
+
+  'title.blur': "Wait! There's still more 👀",
+
+  'home.clients': 'Our Clients',
+  'home.splitTest': 'Split Text Test',
+  'home.heading1': 'Heading 1 Reveal',
+  'home.heading2': 'Heading 2 Reveal',
+  'home.heading3': 'Heading 3 Reveal',
+  'home.heading4': 'Heading 4 Reveal',
+  'home.heading5': 'Heading 5 Reveal',
+  'home.heading6': 'Heading 6 Reveal',
+
+  // about.html; work.html reuses the page title pair
+  'about.title': 'About Page',
+  'about.grassOnly': 'Only Grass Background',
+  'about.splitTest': 'Split Text Test',
+  'about.heading1': 'Heading 1 Reveal',
+  'about.heading2': 'Heading 2 Reveal',
+  'about.heading3': 'Heading 3 Reveal',
+  'about.heading4': 'Heading 4 Reveal',
+  'about.heading5': 'Heading 5 Reveal',
+  'about.heading6': 'Heading 6 Reveal',
+  'about.services': 'About Services',
+  'about.flipTest': 'Flip Test',
+  'about.serviceCard': 'About Service',
+  'about.serviceCardHint': 'Click me to flip!',
+};
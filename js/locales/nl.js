@@ -0,0 +1,62 @@
+/**
+ * Dutch
+ * Missing keys fall back to English (see utils/i18n.js).
+ */
+export const nl = {
+  'loader.loading': 'Laden',
+  'loader.progress': 'Laden {percent}%',
+  'loader.calibrating': 'Kalibreren...',
+  'loader.enter': 'Klik om binnen te gaan',
+  'loader.enterMuted': 'Binnengaan zonder geluid',
+  'loader.welcomeBack': 'Welkom terug',
+  'loader.soundPrompt': 'Tik voor geluid',
+
+  'nav.home': 'Home',
+  'nav.about': 'Over ons',
+  'nav.work': 'Werk',
+  'audio.on': 'GELUID AAN',
+  'audio.off': 'GELUID UIT',
+  'motion.on': 'BEWEGING AAN',
+  'motion.off': 'BEWEGING UIT',
+  'entry.reset': 'INTRO RESETTEN',
+  'entry.resetTitle': 'Toon het startscherm opnieuw bij je volgende bezoek',
+
+  'shortcuts.title': 'Sneltoetsen',
+  'shortcuts.help': 'Deze lijst tonen of verbergen',
+  'shortcuts.close': 'Deze lijst sluiten',
+  'shortcuts.closeMenu': 'Menu sluiten',
+  'shortcuts.mute': 'Geluid aan / uit',
+  'shortcuts.prevCard': 'Vorige kaart (actieve slider)',
+  'shortcuts.nextCard': 'Volgende kaart (actieve slider)',
+  'shortcuts.prevTestimonial': 'Vorige testimonial (actieve slider)',
+  'shortcuts.nextTestimonial': 'Volgende testimonial (actieve slider)',
+  'shortcuts.nextSection': 'Volgende case study-sectie',
+  'shortcuts.prevSection': 'Vorige case study-sectie',
+  'shortcuts.debug': 'Statistieken en debug-HUD',
+  'shortcuts.tweaks': 'Tweak-paneel',
+
+  'title.blur': 'Wacht! Er is nog meer 👀',
+
+  'home.clients': 'Onze klanten',
+  'home.splitTest': 'Split-tekst test',
+  'home.heading1': 'Kop 1 onthulling',
+  'home.heading2': 'Kop 2 onthulling',
+  'home.heading3': 'Kop 3 onthulling',
+  'home.heading4': 'Kop 4 onthulling',
+  'home.heading5': 'Kop 5 onthulling',
+  'home.heading6': 'Kop 6 onthulling',
+
+  'about.title': 'Over-pagina',
+  'about.grassOnly': 'Alleen grasachtergrond',
+  'about.splitTest': 'Split-tekst test',
+  'about.heading1': 'Kop 1 onthulling',
+  'about.heading2': 'Kop 2 onthulling',
+  'about.heading3': 'Kop 3 onthulling',
+  'about.heading4': 'Kop 4 onthulling',
+  'about.heading5': 'Kop 5 onthulling',
+  'about.heading6': 'Kop 6 onthulling',
+  'about.services': 'Over onze diensten',
+  'about.flipTest': 'Omdraaitest',
+  'about.serviceCard': 'Dienst',
+  'about.serviceCardHint': 'Klik om om te draaien!',
+};
@@ -3,9 +3,12 @@ import {
   THREE,
   Stats,
   gsap,
+  ScrollTrigger,
   Lenis,
   MountainScene,
   GrassScene,
+  FallbackScene,
+  isWebGLAvailable,
   ScrollBender,
   AudioManager,
   ClientLogoCycler,
@@ -21,8 +24,35 @@ import {
   initPageTitleChanger,
   QualityManager,
   PerformanceMonitor,
+  FrameScheduler,
   CaseStudyNavigation,
-  VideoLoader,
+  assets,
+  setAssetBase,
+  assetUrl,
+  registerServiceWorker,
+  precacheMedia,
+  ComponentRegistry,
+  scrollToHash,
+  setHash,
+  saveScrollPosition,
+  getScrollPosition,
+  isHistoryNavigation,
+  getQueryOverrides,
+  DevHud,
+  TweakPanel,
+  DissolveOverlay,
+  createBarbaTransitions,
+  events,
+  AppEvents,
+  motion,
+  entryMemory,
+  i18n,
+  shortcuts,
+  scrollService,
+  analytics,
+  safely,
+  reportError,
+  onError,
   TestimonialsSlider,
   HeadingSplitText,
   Config,
@@ -35,13 +65,19 @@ const container = document.getElementById('webgl');
 const gradientEl = document.getElementById('webgl-gradient');
 const clock = new THREE.Clock();
 const stats = new Stats();
-
-// === STATIC MOBILE/DESKTOP SPLIT ===
-const isDesktop = window.innerWidth >= Config.System.desktopBreakpoint;
-// Removed static selection; will inject dynamically
-// const mobileVideo = document.getElementById('mobile-bg-video');
-
-let isHome = false;
+const queryOverrides = getQueryOverrides(); // QA switches (?quality, ?scene, ?debug, ?skipLoader, ?muted)
+if (queryOverrides.assetBase) setAssetBase(queryOverrides.assetBase); // Before any asset is requested
+
+// === MOBILE/DESKTOP SPLIT ===
+// Switched live by setPipeline() when the breakpoint is crossed
+let isDesktop = window.innerWidth >= Config.System.desktopBreakpoint;
+let scenesReady = false; // Set once onReady() has built the scenes
+
+let currentRoute = getRoute(null);
+let isMountainRoute = false; // Active route renders MountainScene
+let currentNamespace = null;
+let activeScene = 'none'; // Scene rendered last frame (for the HUD)
+let renderIdle = false; // Last frame skipped by render-on-demand (for the HUD)
 let mountainEl = null;
 let lastWindowWidth = window.innerWidth;
 let mountainVisible = false;
@@ -50,30 +86,43 @@ let transitionGlobalFade = false;
 let isTransitioning = false;
 let siteEntered = false;
 
-// Scroll State
-let currentScrollY = window.scrollY;
-let virtualScrollY = 0; // Starts at 0, accumulates globally
-let globalScrollOffset = 0; // The base offset from previous pages
-let lastRawScrollY = 0;
-
 // === INITIALIZATION ===
 
 initDisposables();
 initObserverHub();
+shortcuts.init();
+// Before anything emits (first page view, loader entry)
+analytics.init({
+  ...Config.Analytics,
+  providers: queryOverrides.debug
+    ? [...Config.Analytics.providers, 'console']
+    : Config.Analytics.providers,
+});
 initBadgeRemover();
 initPageTitleChanger();
 
 // Initialize Quality & Performance
 const qualityManager = new QualityManager();
 const perfMonitor = new PerformanceMonitor(qualityManager);
+// The frame loop (tasks are added in ANIMATION LOOP below)
+const scheduler = new FrameScheduler({
+  isUnderPressure: () => perfMonitor.isUnderPressure,
+});
+
+// ?quality=LOW: pin the tier, the benchmark and adaptive downgrades can't change it
+if (queryOverrides.quality) {
+  qualityManager.lockTier(queryOverrides.quality);
+}
 
 // Initialize Lenis
+const LENIS_LERP = 0.05;
 const lenis = new Lenis({
-  lerp: 0.05,
+  lerp: LENIS_LERP,
   smoothWheel: true,
 });
 
 // SCROLL RESET & LOCK
+// Native restoration stays off: back/forward positions are restored via Lenis (scrollMemory)
 if ('scrollRestoration' in history) {
   history.scrollRestoration = 'manual';
 }
@@ -81,8 +130,22 @@ window.scrollTo(0, 0);
 lenis.scrollTo(0, { immediate: true });
 lenis.stop(); // Disable scroll initially
 
+// Scroll state for the loop and components (local, virtual, velocity, ...)
+scrollService.attach(lenis);
+// ScrollTrigger positions follow the smoothed scroll, not native scroll events
+lenis.on('scroll', ScrollTrigger.update);
+
 initPageVisibility(lenis);
 
+// App-wide state on the event bus (see utils/events.js)
+qualityManager.subscribe((profile) => {
+  events.emit(AppEvents.QUALITY_CHANGE, { tier: profile.tier, profile });
+});
+
+scrollService.subscribe((state) => {
+  events.emit(AppEvents.SCROLL, state); // Frozen snapshot, safe to share
+});
+
 // --- SCROLL OPTIMIZATION ---
 // let isScrollingTimer = null;
 // lenis.on('scroll', () => {
@@ -103,60 +166,138 @@ stats.dom.style.zIndex = '2000';
 stats.dom.style.display = 'none';
 document.body.appendChild(stats.dom);
 
-// Toggle stats visibility on Shift+D
-document.addEventListener('keydown', (e) => {
-  if (e.shiftKey && (e.key === 'D' || e.key === 'd')) {
-    stats.dom.style.display =
-      stats.dom.style.display === 'none' ? 'block' : 'none';
-  }
-});
+// No WebGL (blocked GPU, old browser, ?noWebGL=1): renderer stays null and
+// FallbackScene takes over the background; DOM components work as usual
+const useWebGL = !queryOverrides.noWebGL && isWebGLAvailable();
+const renderer = useWebGL
+  ? safely(
+      'WebGLRenderer',
+      () =>
+        new THREE.WebGLRenderer({
+          antialias: window.devicePixelRatio < 2,
+          powerPreference: 'high-performance',
+          alpha: true, // Cleared opaque on desktop, transparent over the mobile video
+        }),
+    )
+  : null;
+
+if (renderer) {
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.info.autoReset = false; // Reset per frame in the scheduler so the HUD sees frame totals
+  renderer.setScissorTest(false);
+  container.appendChild(renderer.domElement);
+} else {
+  console.warn('[WebGL] Unavailable, using fallback pipeline');
+}
 
-const renderer = new THREE.WebGLRenderer({
-  antialias: window.devicePixelRatio < 2,
-  powerPreference: 'high-performance',
-  alpha: !isDesktop, // Alpha true on mobile for video background
-});
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-renderer.setScissorTest(false);
-container.appendChild(renderer.domElement);
-
-// Pass QualityManager to scenes
-const videoLoader = new VideoLoader();
-// Start Loading Assets Immediately
-const videoAssets = [
-  {
-    id: 'showreel',
-    src: 'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/video/showreel-v2.mp4',
-  },
-];
-
-// Add mobile-specific background if needed, or if it's the same file.
-// User mentioned 'website-bg'. If it's different, add it.
-// Assuming for now mobile uses a separate file or the same one as showreel.
-// If 'website-bg' is distinct:
-videoAssets.push({
-  id: 'website-bg',
-  src: 'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/video/website-bg.mp4',
-});
+// Noise mask used by the 'dissolve' page transition (falls back to a plain fade)
+const dissolveOverlay = renderer
+  ? new DissolveOverlay(renderer, Config.Transitions.dissolve)
+  : null;
+
+// Media cache for repeat visits (sw.js); controls the page from the first visit on
+registerServiceWorker();
 
-videoLoader.load(videoAssets);
+// Start Loading Assets Immediately ('critical' ones gate "Click to Enter")
+function preloadAsset(key, type, id = null) {
+  const { path, priority } = Config.Assets[key];
+  return assets.load(path, { type, id, priority });
+}
+preloadAsset('websiteBg', 'video', 'website-bg');
+// The fallback pipeline only shows the background video
+if (renderer) {
+  preloadAsset('showreel', 'video', 'showreel');
+  preloadAsset('mountainModel', 'glb');
+  preloadAsset('lightBake', 'texture');
+}
 
 // We will inject them later when Ready
 let mountainScene, grassScene;
-
-const scrollBender = new ScrollBender();
-const audioManager = new AudioManager();
-const clientLogoCycler = new ClientLogoCycler();
-const acceleratingGlobe = new AcceleratingGlobe();
-const flickCards = new FlickCards();
-const navigation = new Navigation();
-const serviceCards = new ServiceCards();
+let fallbackScene = null; // Only without WebGL
+
+// Decorative or optional: the page still boots without any of them
+const scrollBender = safely('ScrollBender', () => new ScrollBender());
+const audioManager = safely('AudioManager', () => new AudioManager());
+const navigation = safely('Navigation', () => new Navigation());
+
+// Once everything requested so far has loaded, let the service worker keep
+// full copies of what this pipeline actually uses
+assets.whenReady('low').then(() => {
+  precacheMedia(
+    Config.ServiceWorker.precache
+      .map((key) => assetUrl(Config.Assets[key].path))
+      .filter((url) => assets.get(url)),
+  );
+});
 const textScrambler = new TextScrambler();
-const caseStudyNavigation = new CaseStudyNavigation();
-const testimonialsSlider = new TestimonialsSlider();
-const headingSplitText = new HeadingSplitText();
 
-if (isDesktop) {
+// Page-scoped components: mounted per barba container when their selector matches
+const components = new ComponentRegistry()
+  .register(ClientLogoCycler)
+  .register(AcceleratingGlobe)
+  .register(FlickCards)
+  .register(ServiceCards)
+  .register(CaseStudyNavigation, { args: () => [lenis] })
+  .register(TestimonialsSlider)
+  .register(HeadingSplitText, { args: (container) => [container] });
+
+// Failures caught by error boundaries, listed in the HUD
+const caughtErrors = [];
+onError((error, { label, phase }) => caughtErrors.push(`${label} (${phase})`));
+
+// Developer HUD, shown together with the Stats panel
+const devHud = new DevHud(() => ({
+  qualityManager,
+  perfMonitor,
+  scheduler,
+  renderer,
+  scene: activeScene,
+  sceneIdle: renderIdle,
+  namespace: currentNamespace,
+  scrollY: scrollService.scroll,
+  virtualScrollY: scrollService.virtualScroll,
+  globalScrollOffset: scrollService.offset,
+  components: components.getMountedNames(),
+  errors: caughtErrors,
+}));
+
+function setDebugVisible(visible) {
+  stats.dom.style.display = visible ? 'block' : 'none';
+  if (visible) devHud.show();
+  else devHud.hide();
+}
+setDebugVisible(queryOverrides.debug);
+
+// Live Config editor (dev only: ?debug=1 on a dev host, so the live site never
+// pulls lil-gui from unpkg)
+const isDevHost = Config.System.devHosts.includes(window.location.hostname);
+const tweakPanel =
+  queryOverrides.debug && isDevHost
+    ? new TweakPanel(() => ({ grassScene, mountainScene }))
+    : null;
+
+// Toggle stats + HUD on Shift+D, tweak panel on Shift+T
+shortcuts.register({
+  key: 'd',
+  shift: true,
+  description: 'shortcuts.debug',
+  handler: () => setDebugVisible(!devHud.visible),
+});
+if (tweakPanel) {
+  shortcuts.register({
+    key: 't',
+    shift: true,
+    description: 'shortcuts.tweaks',
+    handler: () =>
+      tweakPanel
+        .toggle()
+        .catch((err) => console.warn('[TweakPanel] Failed to open:', err)),
+  });
+}
+
+if (!renderer) {
+  // Fallback pipeline: nothing to size
+} else if (isDesktop) {
   renderer.setSize(container.clientWidth, container.clientHeight);
   if (mountainScene)
     mountainScene.resize(container.clientWidth, container.clientHeight);
@@ -168,7 +309,49 @@ if (isDesktop) {
   if (mountainScene)
     mountainScene.resize(container.clientWidth, container.clientHeight);
 }
-textScrambler.init();
+safely('TextScrambler', () => textScrambler.init());
+
+// === REDUCED MOTION ===
+// OS preference or the #motion-toggle button; components follow the same policy
+function updateMotionToggle(reduced) {
+  const btn = document.getElementById('motion-toggle');
+  if (!btn) return;
+  const newText = i18n.t(reduced ? 'motion.off' : 'motion.on');
+  btn.textContent = newText;
+  btn.style.opacity = reduced ? '0.5' : '1.0';
+  btn.setAttribute('aria-pressed', String(reduced));
+
+  // Keep TextScrambler's cached text in sync (see AudioManager.updateUI)
+  if (typeof btn.__baseText !== 'undefined') btn.__baseText = newText;
+  if (btn.__widthLocked) {
+    btn.__widthLocked = false;
+    btn.style.width = '';
+  }
+}
+
+motion.subscribe((reduced) => {
+  // Native-feeling scroll: no smoothing/inertia
+  lenis.options.lerp = reduced ? 1 : LENIS_LERP;
+  lenis.options.smoothWheel = !reduced;
+  if (scrollBender) scrollBender.setEnabled(!reduced);
+  updateMotionToggle(reduced);
+});
+
+// === LOCALE ===
+// Static markup is translated via data-i18n; JS-rendered strings re-render here
+function updateLocaleToggle(locale) {
+  const btn = document.getElementById('locale-toggle');
+  if (!btn) return;
+  btn.textContent = Config.I18n.locales[locale].label;
+  btn.setAttribute('lang', locale);
+}
+
+i18n.translate(document);
+i18n.subscribe((locale) => {
+  updateLocaleToggle(locale);
+  updateMotionToggle(motion.reduced);
+  if (audioManager) audioManager.updateUI();
+});
 
 // === LOGIC ===
 
@@ -197,14 +380,36 @@ const mountainObserver = new ResizeObserver(() => {
   // Force a render if needed, but the loop handles it.
 });
 
+// Resolve a namespace against the route table (missing keys come from 'default')
+// ?scene=grass|mountain forces the scene (a mountain still needs its hero element)
+function getRoute(namespace) {
+  const route = {
+    ...Config.Routes.default,
+    ...(Config.Routes[namespace] || {}),
+  };
+  if (queryOverrides.scene) route.scene = queryOverrides.scene;
+  return route;
+}
+
+function applyToneMapping(route) {
+  if (!renderer) return;
+  renderer.toneMapping =
+    THREE[`${route.toneMapping}ToneMapping`] ?? THREE.NoToneMapping;
+  renderer.toneMappingExposure = route.exposure;
+}
+
 function updateRouteState(namespace, container) {
   console.log('[Route] Updating state for:', namespace);
-  if (namespace === 'home') {
-    isHome = true;
+  currentNamespace = namespace;
+  currentRoute = getRoute(namespace);
+
+  if (currentRoute.scene === 'mountain') {
+    isMountainRoute = true;
     // Try finding the element in the new container first, then global fallback
-    mountainEl = container
-      ? container.querySelector('#mountain-hero')
-      : document.getElementById('mountain-hero');
+    mountainEl = (container || document).querySelector(
+      currentRoute.heroSelector,
+    );
+    if (fallbackScene) fallbackScene.mountHero(mountainEl);
 
     if (mountainEl) {
       console.log('[Route] Mountain Element found, mounting scene.');
@@ -217,8 +422,7 @@ function updateRouteState(namespace, container) {
       // Also call once immediately in case it's already stable
       calcMountainConfig();
 
-      renderer.toneMapping = THREE.ACESFilmicToneMapping;
-      renderer.toneMappingExposure = 1.0;
+      applyToneMapping(currentRoute);
 
       // Force visibility immediately to prevent "Grass flash"
       mountainVisible = true;
@@ -230,18 +434,19 @@ function updateRouteState(namespace, container) {
       grassScene.mount();
     }
   } else {
-    isHome = false;
+    isMountainRoute = false;
 
     // Cleanup observer
     if (mountainEl) {
       mountainObserver.unobserve(mountainEl);
     }
     mountainEl = null;
+    if (fallbackScene) fallbackScene.unmountHero();
 
     if (isDesktop) {
       if (mountainScene) mountainScene.unmount();
-      renderer.toneMapping = THREE.NoToneMapping;
-      renderer.setScissorTest(false);
+      applyToneMapping(currentRoute);
+      if (renderer) renderer.setScissorTest(false);
       if (grassScene) grassScene.mount();
     }
   }
@@ -249,49 +454,94 @@ function updateRouteState(namespace, container) {
 
 // === EVENTS ===
 
-function updateVirtualScroll() {
-  // WITH LENIS: We trust lenis for the scroll value
-  // STRICT SYNC: virtualScrollY is strictly absolute global offset + current local scroll
-  // This preserves the exact easing curve of Lenis
-  const raw = lenis.scroll; // Current local scroll on this page (smoothed)
+// === DESKTOP / MOBILE PIPELINE ===
+// Desktop: opaque canvas, MountainScene + GrassScene.
+// Mobile: transparent canvas over the website-bg video, MountainScene only (no snow).
+
+function applyRendererAlpha() {
+  if (renderer) renderer.setClearAlpha(isDesktop ? 1 : 0);
+}
+
+function showBackgroundVideo() {
+  const bgVideo = assets.get('website-bg');
+  if (!bgVideo || !container) return;
+  bgVideo.id = 'mobile-bg-video';
+  bgVideo.className = 'bg-video-mobile';
+  if (!bgVideo.parentNode) container.appendChild(bgVideo);
+  bgVideo.play().catch((e) => console.log('Mobile BG Autoplay fail', e));
+}
+
+function hideBackgroundVideo() {
+  const bgVideo = assets.get('website-bg');
+  if (!bgVideo || !bgVideo.parentNode) return;
+  bgVideo.pause();
+  bgVideo.parentNode.removeChild(bgVideo);
+}
 
-  virtualScrollY = globalScrollOffset + raw;
+function setPipeline(desktop) {
+  isDesktop = desktop;
+  applyRendererAlpha();
+  // The fallback pipeline looks the same at every width
+  if (!renderer || !scenesReady) return;
 
-  // Note: currentScrollY is used for non-infinite things, like mountain/bender
-  // It should probably just track 'raw' (local) for those local effects?
-  // Existing code sets currentScrollY = raw.
-  currentScrollY = raw;
-  lastRawScrollY = raw;
+  if (isDesktop) {
+    hideBackgroundVideo();
+    if (!grassScene) {
+      grassScene = safely(
+        'GrassScene',
+        () => new GrassScene(renderer, qualityManager),
+      );
+    }
+    if (grassScene) grassScene.updateScrollState(scrollService.virtualScroll);
+  } else {
+    if (grassScene) grassScene.dispose();
+    grassScene = null;
+    // Mobile never mounts the mountain listeners (see updateRouteState)
+    if (mountainScene) mountainScene.unmount();
+    showBackgroundVideo();
+  }
+  if (mountainScene) mountainScene.setSnowEnabled(isDesktop);
+
+  // Re-mount scenes for the current page and let the loop re-decide video playback
+  updateRouteState(
+    currentNamespace,
+    document.querySelector('[data-barba="container"]'),
+  );
+  lastMountainVisible = false;
 }
+applyRendererAlpha();
 
 // Ensure Lenis updates happen
 function onResize() {
   if (Math.abs(window.innerWidth - lastWindowWidth) < 2) return;
   lastWindowWidth = window.innerWidth;
 
+  // === PIPELINE SWITCH ON BREAKPOINT CROSS ===
+  // Live, so audio, scroll and loader state survive (e.g. rotating a tablet)
+  const newIsDesktop = window.innerWidth >= Config.System.desktopBreakpoint;
+  if (newIsDesktop !== isDesktop) {
+    console.log(
+      `[Resize] Breakpoint crossed, switching to ${newIsDesktop ? 'desktop' : 'mobile'} pipeline`,
+    );
+    setPipeline(newIsDesktop);
+  }
+
   const w = container.clientWidth;
   const h = container.clientHeight;
 
   if (isDesktop) {
-    renderer.setSize(w, h);
+    if (renderer) renderer.setSize(w, h);
     if (mountainScene) mountainScene.resize(w, h);
     if (grassScene) grassScene.resize(w, h);
   } else {
     // Mobile Resize
-    renderer.setSize(w, h);
+    if (renderer) renderer.setSize(w, h);
     if (mountainScene) mountainScene.resize(w, h);
   }
-  scrollBender.resize();
+  if (scrollBender) scrollBender.resize();
 
   // update cache
   calcMountainConfig();
-
-  // === RELOAD ON BREAKPOINT CROSS ===
-  const newIsDesktop = window.innerWidth >= Config.System.desktopBreakpoint;
-  if (newIsDesktop !== isDesktop) {
-    console.log('[Resize] Breakpoint crossed. Reloading...');
-    window.location.reload();
-  }
 }
 window.addEventListener('resize', onResize, { passive: true });
 
@@ -301,9 +551,21 @@ window.addEventListener('resize', onResize, { passive: true });
 
 // Intercept clicks to prevent reloading same page
 document.addEventListener('click', (e) => {
+  if (e.defaultPrevented) return; // Already handled (e.g. CaseStudyNavigation)
   const link = e.target.closest('a');
   if (link && link.href) {
-    // Normalize URLs for comparison (strip hash if needed, but strict is fine for now)
+    // Same-page anchor: scroll via Lenis instead of the native jump
+    const url = new URL(link.href, window.location.href);
+    if (
+      url.hash &&
+      url.pathname === window.location.pathname &&
+      url.search === window.location.search
+    ) {
+      e.preventDefault();
+      if (scrollToHash(lenis, url.hash)) setHash(url.hash);
+      return;
+    }
+
     if (link.href === window.location.href) {
       console.log('[Nav] Blocked reload on same link');
       e.preventDefault();
@@ -313,13 +575,180 @@ document.addEventListener('click', (e) => {
   }
 });
 
-// Audio Toggle
+// Audio & Motion Toggles
+function toggleMute() {
+  if (!audioManager) return;
+  const muted = audioManager.toggleMute();
+  entryMemory.update({ audio: !muted }); // Next auto-enter follows suit
+}
+shortcuts.register({
+  key: 'm',
+  description: 'shortcuts.mute',
+  when: () => siteEntered, // Not behind the entry gate: that click decides
+  handler: toggleMute,
+});
+
 document.addEventListener('click', (e) => {
   if (e.target && e.target.id === 'audio-toggle') {
-    audioManager.toggleMute();
+    toggleMute();
+  }
+  if (e.target && e.target.id === 'motion-toggle') {
+    motion.toggle();
+  }
+  if (e.target && e.target.id === 'locale-toggle') {
+    i18n.next();
+  }
+  if (e.target && e.target.id === 'entry-reset') {
+    entryMemory.clear();
+    updateEntryReset();
   }
 });
 
+// === RETURNING VISITORS ===
+// "RESET INTRO" only shows while a choice is remembered
+function updateEntryReset() {
+  const btn = document.getElementById('entry-reset');
+  if (btn) btn.hidden = !entryMemory.load();
+}
+updateEntryReset();
+
+// Shared lifecycle for every page transition.
+// The transition itself (js/transitions/PageTransitions.js) only animates.
+function getTransitionContext() {
+  return {
+    wrapper: document.querySelector('.main-wrapper'),
+    webgl: document.getElementById('webgl'),
+    globalFade: transitionGlobalFade,
+    dissolve: dissolveOverlay,
+    revealDelay: currentRoute.revealDelay,
+  };
+}
+
+// Never let a failed animation block barba
+function runTransitionStep(step) {
+  return Promise.resolve()
+    .then(step)
+    .catch((err) => reportError(err, { label: 'Transition', phase: 'run' }));
+}
+
+// Whatever failed along the way, the page (and the canvas a global fade
+// hid) must not stay at opacity 0
+function revealPage() {
+  const wrapper = document.querySelector('.main-wrapper');
+  if (wrapper) wrapper.style.opacity = '1';
+  const webgl = document.getElementById('webgl');
+  if (webgl) webgl.style.opacity = '1';
+}
+
+const transitionLifecycle = {
+  leave(data, transition, options) {
+    // Lock Interaction
+    document.body.classList.add('is-transitioning');
+
+    let nextNs = data.next.namespace;
+    if (!nextNs && data.next.url) {
+      const path = data.next.url.path || data.next.url.href;
+      if (path === '/' || path.endsWith('index.html') || path.endsWith('/')) {
+        nextNs = 'home';
+      }
+    }
+
+    // Before unmount, so components can still react (e.g. sliders pause)
+    events.emit(AppEvents.ROUTE_LEAVE, {
+      from: currentNamespace,
+      to: nextNs || null,
+      trigger: data.trigger,
+    });
+
+    // Destroy every component mounted for the outgoing container
+    components.unmount();
+
+    // === DISPOSABLE SCOPES ===
+    // End the page scope: listeners/observers registered for this page go with it
+    window.cleanupOnLeave();
+
+    // Remember where we were, for back/forward restoration
+    if (data.current.url) {
+      saveScrollPosition(data.current.url.href, lenis.scroll);
+    }
+
+    // Return a Promise to force Barba to wait
+    return runTransitionStep(() => {
+      const goingToMountain = getRoute(nextNs).scene === 'mountain';
+      const comingFromMountain = mountainVisible; // Global state check
+
+      transitionGlobalFade = goingToMountain || comingFromMountain;
+
+      return transition.leave({ ...getTransitionContext(), options });
+    });
+  },
+
+  enter(data, transition, options) {
+    return runTransitionStep(() => {
+      // Reset Scroll via Lenis
+      isTransitioning = true;
+      // virtualScroll carries on from the previous page (grass field continuity)
+      scrollService.jumpTo(0);
+
+      const ns =
+        data.next.namespace ||
+        (data.next.container && data.next.container.dataset.namespace);
+      updateRouteState(ns, data.next.container);
+
+      // MANUAL CLEANUP: Ensure old container is GONE.
+      if (data.current.container && data.current.container.parentNode) {
+        data.current.container.parentNode.removeChild(data.current.container);
+      }
+
+      // Mount components HERE (Hidden State)
+      // This ensures headings are split and opacity set to 0 before wrapper reveals
+      // Note: init() creates ScrollTriggers.
+      // Since wrapper is opacity:0 but display:block, measurements should be fine.
+      // A failing component is reported and skipped by the registry.
+      i18n.translate(data.next.container); // Before headings get split
+      components.mount(data.next.container);
+
+      events.emit(AppEvents.ROUTE_ENTER, {
+        namespace: currentNamespace,
+        container: data.next.container,
+        route: currentRoute,
+      });
+
+      // Back/Forward: return to the stored position of that page
+      const restoreY = isHistoryNavigation(data)
+        ? getScrollPosition(data.next.url.href)
+        : null;
+      if (restoreY) {
+        lenis.resize(); // New container is in, refresh the scroll limit
+        // The jump must not move the grass field
+        scrollService.jumpTo(restoreY);
+      }
+
+      // Transition waits for the route's reveal delay, then reveals
+      return transition.enter({ ...getTransitionContext(), options });
+    });
+  },
+
+  after(data) {
+    // Unlock Interaction
+    document.body.classList.remove('is-transitioning');
+    revealPage();
+
+    // (e.g. after previous container is removed and new one shifts up)
+    isTransitioning = false;
+    calcMountainConfig();
+    if (scrollBender) scrollBender.resize(); // Re-cache elements after new content loaded
+    // Components are mounted in enter() for pre-computation
+
+    // Deep link: enter() reset to 0, now glide to the fragment target
+    // (Back/Forward keeps the restored position instead)
+    const hash = data.next.url && data.next.url.hash;
+    if (hash && !isHistoryNavigation(data)) scrollToHash(lenis, hash);
+
+    events.emit(AppEvents.ROUTE_AFTER, { namespace: currentNamespace });
+  },
+};
+
 if (barba) {
   barba.init({
     debug: false,
@@ -329,187 +758,12 @@ if (barba) {
         return true;
       }
     },
-    transitions: [
-      {
-        name: 'fade',
-        sync: false, // Ensure strictly sequential (Leave -> Remove -> Enter)
-        leave(data) {
-          // Lock Interaction
-          document.body.classList.add('is-transitioning');
-
-          // === NEW DISPOSABLE SYSTEM ===
-          // Automatically clean up any registered listeners/observers
-          window.cleanupOnLeave();
-
-          // Update Global Offset for Continuity
-          // Current virtual position becomes the new "zero" base for the next page
-          globalScrollOffset = virtualScrollY;
-
-          // Still call specific component destroys if they are not yet using global disposables
-          clientLogoCycler.destroy();
-          acceleratingGlobe.destroy();
-          flickCards.destroy();
-          serviceCards.destroy();
-          caseStudyNavigation.destroy();
-          testimonialsSlider.destroy();
-          // ...
-
-          // Return a Promise to force Barba to wait
-          return new Promise((resolve) => {
-            try {
-              let nextNs = data.next.namespace;
-              if (!nextNs && data.next.url) {
-                const path = data.next.url.path || data.next.url.href;
-                if (
-                  path === '/' ||
-                  path.endsWith('index.html') ||
-                  path.endsWith('/')
-                ) {
-                  nextNs = 'home';
-                }
-              }
-
-              const goingToMountain = nextNs === 'home';
-              const comingFromMountain = mountainVisible; // Global state check
-
-              transitionGlobalFade = goingToMountain || comingFromMountain;
-
-              // TARGET STRATEGY: wrapper (explicit style opacity)
-              const wrapper = document.querySelector('.main-wrapper');
-
-              // Action: Set opacity to 0 (Triggers CSS Transition 1s)
-              if (wrapper) wrapper.style.opacity = '0';
-
-              // If Global, also fade WebGL (using CSS opacity)
-              if (transitionGlobalFade) {
-                const webgl = document.getElementById('webgl');
-                if (webgl) webgl.style.opacity = '0';
-              }
-
-              // Wait for transition to finish (1.0s)
-              setTimeout(() => {
-                resolve();
-              }, 1000);
-            } catch (err) {
-              console.error(err);
-              resolve();
-            }
-          });
-        },
-        beforeEnter(data) {
-          // Wrapper is already 0 from leave().
-          // No action needed specifically for container.
-          // Re-init global systems if needed (Disposables are already cleared)
-        },
-        enter(data) {
-          return new Promise((resolve) => {
-            try {
-              // Reset Scroll via Lenis
-              // window.isNavigatingReset = true; // Removed (Legacy Delta logic)
-              isTransitioning = true;
-
-              // window.scrollTo(0, 0); // Native
-              lenis.scrollTo(0, { immediate: true }); // Lenis
-
-              lastRawScrollY = 0;
-              currentScrollY = 0;
-              // note: virtualScrollY will automatically pick up globalScrollOffset + 0 on next frame
-
-              // requestAnimationFrame(() => {
-              //   window.isNavigatingReset = false;
-              // });
-
-              const ns =
-                data.next.namespace ||
-                (data.next.container && data.next.container.dataset.namespace);
-              updateRouteState(ns, data.next.container);
-
-              const delay = ns === 'home' ? 2000 : 1000; // ms
-
-              // TARGET STRATEGY: Target wrapper
-              const wrapper = document.querySelector('.main-wrapper');
-
-              // MANUAL CLEANUP: Ensure old container is GONE.
-              if (data.current.container && data.current.container.parentNode) {
-                data.current.container.parentNode.removeChild(
-                  data.current.container,
-                );
-              }
-
-              // Add WebGL logic if global
-              if (transitionGlobalFade) {
-                // Correct: leave() set it to 0. It persists.
-              }
-
-              // Initialize Split Text HERE (Hidden State)
-              // This ensures words are split and opacity set to 0 before wrapper reveals
-              try {
-                // headingSplitText.init(data.next.container);
-                // Note: init() creates ScrollTriggers.
-                // Since wrapper is opacity:0 but display:block, measurements should be fine.
-                headingSplitText.init(data.next.container);
-              } catch (e) {
-                console.warn('[Transition] SplitText init failed', e);
-              }
-
-              // Wait for delay, then Reveal
-              setTimeout(() => {
-                // 1. Reveal Wrapper via CSS Opacity
-                if (wrapper) wrapper.style.opacity = '1';
-
-                // 2. Reveal WebGL via CSS Opacity (if needed)
-                if (transitionGlobalFade) {
-                  const webgl = document.getElementById('webgl');
-                  if (webgl) webgl.style.opacity = '1';
-                }
-
-                // 3. Resolve after transition (1.0s)
-                setTimeout(() => {
-                  resolve();
-                }, 1000);
-              }, delay);
-            } catch (err) {
-              console.error(err);
-              resolve();
-            }
-          });
-        },
-        after(data) {
-          // Unlock Interaction
-          document.body.classList.remove('is-transitioning');
-
-          // (e.g. after previous container is removed and new one shifts up)
-          isTransitioning = false;
-          calcMountainConfig();
-          scrollBender.resize(); // Re-cache elements after new content loaded
-          clientLogoCycler.init(); // Re-init cycler
-          acceleratingGlobe.init(); // Re-init globe
-          flickCards.init(); // Re-init flick cards
-          serviceCards.init(); // Re-init service cards
-          textScrambler.init();
-          caseStudyNavigation.init(lenis);
-          caseStudyNavigation.init(lenis);
-          testimonialsSlider.init();
-          caseStudyNavigation.init(lenis);
-          caseStudyNavigation.init(lenis);
-          testimonialsSlider.init();
-          // headingSplitText.init(); // Moved to enter() for pre-computation
-        },
-      },
-    ],
+    transitions: createBarbaTransitions(transitionLifecycle),
   });
 }
 
-// Force initial Wrapper to be visible (it's hidden by CSS to prevent FOUC)
-const initialWrapper = document.querySelector('.main-wrapper');
-if (initialWrapper) {
-  initialWrapper.style.opacity = '1';
-}
-// Force initial WebGL visibility
-const initialWebgl = document.getElementById('webgl');
-if (initialWebgl) {
-  initialWebgl.style.opacity = '1';
-}
+// Force initial Wrapper and WebGL to be visible (hidden by CSS to prevent FOUC)
+revealPage();
 // Force initial Canvas Container (if needed)
 const initialCanvasContainer = document.getElementById('canvas-container');
 if (initialCanvasContainer) {
@@ -522,138 +776,287 @@ const initialNs = initialContainer.dataset.namespace;
 updateRouteState(initialNs, initialContainer);
 
 // Init Components
-clientLogoCycler.init();
-acceleratingGlobe.init();
-flickCards.init();
-serviceCards.init();
-textScrambler.init();
-caseStudyNavigation.init(lenis);
-testimonialsSlider.init();
-headingSplitText.init();
-
-// === ANIMATION LOOP ===
+components.mount(initialContainer);
+
+// === WEBGL CONTEXT LOSS ===
+// After a GPU reset every GPU resource is gone: pause rendering while lost,
+// then rebuild the scenes at the current quality tier without touching scroll state
+let contextLost = false;
+
+function rebuildScenes() {
+  if (mountainScene) mountainScene.dispose();
+  if (grassScene) grassScene.dispose();
+  mountainScene = null;
+  grassScene = null;
+
+  // Scenes subscribe to qualityManager and get the current profile right away
+  mountainScene = safely(
+    'MountainScene',
+    () => new MountainScene(renderer, qualityManager, assets.get('showreel')),
+    { phase: 'restore' },
+  );
+  if (isDesktop) {
+    grassScene = safely(
+      'GrassScene',
+      () => new GrassScene(renderer, qualityManager),
+      { phase: 'restore' },
+    );
+  }
 
-function animate(time) {
-  perfMonitor.beginFrame();
+  const w = container.clientWidth;
+  const h = container.clientHeight;
+  renderer.setSize(w, h);
+  if (mountainScene) mountainScene.resize(w, h);
+  if (grassScene) grassScene.resize(w, h);
+
+  // Re-attach to the current page where the old scenes left off
+  updateRouteState(
+    currentNamespace,
+    document.querySelector('[data-barba="container"]'),
+  );
+  if (mountainScene) {
+    mountainScene.updateScroll(scrollService.scroll);
+    if (siteEntered) mountainScene.animateEntry({ immediate: true });
+  }
+  if (grassScene) grassScene.updateScrollState(scrollService.virtualScroll);
 
-  // Use 'time' from RAF which is more precise
-  lenis.raf(time);
+  // Let the loop decide video playback again on the next frame
+  lastMountainVisible = false;
+}
 
-  stats.begin();
-  requestAnimationFrame(animate);
+if (renderer) {
+  renderer.domElement.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault(); // Tells the browser we want the context back
+    contextLost = true;
+    console.warn('[WebGL] Context lost, rendering paused');
+  });
 
-  // const time = performance.now() * 0.001; // Existing logic uses seconds
-  const t = time * 0.001;
-  const dt = clock.getDelta();
+  renderer.domElement.addEventListener('webglcontextrestored', () => {
+    console.log('[WebGL] Context restored, rebuilding scenes');
+    // Before onReady there is nothing to rebuild yet
+    if (scenesReady) rebuildScenes();
+    contextLost = false;
+  });
+}
 
-  // Poll scroll directly (from Lenis now inside updateVirtualScroll)
-  updateVirtualScroll();
+// === ANIMATION LOOP ===
+// One GSAP-ticker frame for everything (see utils/FrameScheduler.js):
+// input > scroll (Lenis, which also drives ScrollTrigger) > simulation > render > dom
+
+// Shared between the phases of the current frame
+let frameT = 0;
+let frameDt = 0;
+
+scheduler.add(
+  'frame-begin',
+  ({ time }) => {
+    perfMonitor.beginFrame();
+    stats.begin();
+    if (renderer) renderer.info.reset();
+
+    frameT = time * 0.001;
+    frameDt = clock.getDelta();
+  },
+  { phase: 'input', priority: 'critical' },
+);
+
+// Same clock as GSAP, so tweens and smooth scroll never drift apart.
+// scrollService (and ScrollTrigger) update from Lenis' scroll event.
+scheduler.add('lenis', ({ time }) => lenis.raf(time), {
+  phase: 'scroll',
+  priority: 'critical',
+});
 
-  // Default viewport for full screen
-  renderer.setViewport(0, 0, container.clientWidth, container.clientHeight);
-  renderer.setScissorTest(false);
+scheduler.add(
+  'scenes-update',
+  () => {
+    const currentScrollY = scrollService.scroll;
+    const virtualScrollY = scrollService.virtualScroll;
 
-  // Update MountainScene "Relative Scroll" position
-  if (mountainScene) mountainScene.updateScroll(currentScrollY);
+    // Update MountainScene "Relative Scroll" position
+    if (mountainScene) mountainScene.updateScroll(currentScrollY);
 
-  // Visibility Check
-  mountainVisible = false;
+    // Visibility Check
+    mountainVisible = false;
 
-  if (isTransitioning) {
-    // STRICT SYNC: If we are transitioning TO Home, force Mountain visible immediately.
-    // This ensures that when the fade-in starts, the scene is already swapped.
-    if (isHome) {
-      mountainVisible = true;
-    }
-  } else if (isHome) {
-    // Normal Runtime Check
-    // If config is not yet set (height 0), assume it's visible (Home default)
-    // BUT only if mountainEl actually exists (otherwise we are not effectively on home or element is missing)
-    if (mountainEl && mountainConfig.height === 0) {
-      mountainVisible = true;
-    } else if (mountainEl) {
-      // Standard check: is it effectively on screen?
-      const elTop = mountainConfig.top - currentScrollY;
-      if (elTop + mountainConfig.height > 0 && elTop < window.innerHeight) {
+    if (isTransitioning) {
+      // STRICT SYNC: If we are transitioning TO a mountain route, force Mountain visible immediately.
+      // This ensures that when the fade-in starts, the scene is already swapped.
+      if (isMountainRoute) {
+        mountainVisible = true;
+      }
+    } else if (isMountainRoute) {
+      // Normal Runtime Check
+      // If config is not yet set (height 0), assume it's visible (Home default)
+      // BUT only if mountainEl actually exists (otherwise we are not effectively on home or element is missing)
+      if (mountainEl && mountainConfig.height === 0) {
         mountainVisible = true;
+      } else if (mountainEl) {
+        // Standard check: is it effectively on screen?
+        const elTop = mountainConfig.top - currentScrollY;
+        if (elTop + mountainConfig.height > 0 && elTop < window.innerHeight) {
+          mountainVisible = true;
+        }
       }
     }
-  }
 
-  // === VIDEO PLAYBACK CONTROL ===
-  if (mountainVisible !== lastMountainVisible) {
-    if (mountainVisible && siteEntered) {
-      if (mountainScene) mountainScene.playVideo();
-    } else {
-      if (mountainScene) mountainScene.pauseVideo();
+    // === VIDEO PLAYBACK CONTROL ===
+    if (mountainVisible !== lastMountainVisible) {
+      if (mountainVisible && siteEntered) {
+        if (mountainScene) mountainScene.playVideo();
+      } else {
+        if (mountainScene) mountainScene.pauseVideo();
+      }
+      lastMountainVisible = mountainVisible;
     }
-    lastMountainVisible = mountainVisible;
-  }
-
-  // RENDER ORDER & EXCLUSIVITY:
-  // "Never have dual scene rendering. Always have only one."
 
-  // 1. Mountain (Priority if visible)
-  // 1. Mountain (Priority if visible)
-  // 1. Mountain (Priority if visible)
-  if (isDesktop) {
-    if (mountainVisible) {
-      // Render Mountain ONLY
-      if (mountainScene) {
-        mountainScene.update(t, dt);
-        mountainScene.render();
-
-        // Push scroll to grass even if not rendering, so it doesn't jump
-        // Use smoothed virtualScrollY from Lenis logic (continuous across pages)
+    // RENDER ORDER & EXCLUSIVITY:
+    // "Never have dual scene rendering. Always have only one."
+    // Pick the scene here and advance it; the render phase draws it.
+
+    // 1. Mountain (Priority if visible)
+    activeScene = 'none';
+    if (contextLost) {
+      // Nothing to draw into until webglcontextrestored
+      activeScene = 'lost';
+    } else if (fallbackScene) {
+      // No WebGL: background video / CSS animation runs on its own
+      activeScene = 'fallback';
+    } else if (isDesktop) {
+      if (mountainVisible) {
+        // Update Mountain ONLY
+        if (mountainScene) {
+          mountainScene.update(frameT, frameDt);
+          activeScene = 'mountain';
+
+          // Push scroll to grass even if not rendering, so it doesn't jump
+          // Use smoothed virtualScrollY from Lenis logic (continuous across pages)
+          if (
+            window.innerWidth >= Config.System.desktopBreakpoint &&
+            grassScene
+          ) {
+            grassScene.updateScrollState(virtualScrollY);
+          }
+        }
+      } else {
+        // 2. Grass (Fallback if Mountain not visible)
         if (
           window.innerWidth >= Config.System.desktopBreakpoint &&
           grassScene
         ) {
           grassScene.updateScrollState(virtualScrollY);
+          grassScene.update(frameT, frameDt);
+          activeScene = 'grass';
         }
       }
     } else {
-      // 2. Grass (Fallback if Mountain not visible)
-      if (window.innerWidth >= Config.System.desktopBreakpoint && grassScene) {
-        grassScene.updateScrollState(virtualScrollY);
-        grassScene.update(t, dt);
-        grassScene.render();
+      // Mobile: Render Mountain Only (Transparent background shows video)
+      // No Grass Scene Fallback
+      if (mountainVisible && mountainScene) {
+        mountainScene.update(frameT, frameDt);
+        activeScene = 'mountain';
+      } else {
+        activeScene = 'video';
       }
     }
-  } else {
-    // Mobile: Render Mountain Only (Transparent background shows video)
-    // No Grass Scene Fallback
-    if (mountainVisible && mountainScene) {
-      mountainScene.update(t, dt);
-      mountainScene.render();
-    } else {
-      // If mountain not visible, just clear the canvas to transparent
-      renderer.clear();
-    }
+  },
+  { phase: 'simulation', priority: 'critical' },
+);
+
+// Render on demand: what the canvas currently shows. A WebGL canvas keeps its
+// last frame until the next draw, so idle frames are simply not drawn.
+const drawn = { scene: 'none', overlay: false, width: 0, height: 0 };
+
+function canSkipRender() {
+  if (!Config.RenderOnDemand.enabled) return false;
+
+  const canvas = renderer.domElement;
+  const overlay = !!dissolveOverlay && dissolveOverlay.active;
+  // Scene switch, overlay on or just gone, or a resize cleared the canvas
+  if (activeScene !== drawn.scene || overlay || drawn.overlay) return false;
+  if (canvas.width !== drawn.width || canvas.height !== drawn.height) {
+    return false;
   }
 
-  // Update scroll bending effect independently of scenes
-  scrollBender.update(currentScrollY);
+  if (activeScene === 'mountain') return !mountainScene.needsRender();
+  if (activeScene === 'grass') return !grassScene.needsRender();
+  return true; // 'video' is already cleared, the rest draw nothing
+}
+
+scheduler.add(
+  'scenes-render',
+  () => {
+    if (!renderer) return;
+
+    renderIdle = canSkipRender();
+    if (renderIdle) return;
+
+    // Default viewport for full screen
+    renderer.setViewport(0, 0, container.clientWidth, container.clientHeight);
+    renderer.setScissorTest(false);
+
+    if (activeScene === 'mountain') mountainScene.render();
+    else if (activeScene === 'grass') grassScene.render();
+    // If mountain not visible on mobile, just clear the canvas to transparent
+    else if (activeScene === 'video') renderer.clear();
+
+    // Transition overlay sits on top of whichever scene rendered
+    if (dissolveOverlay) dissolveOverlay.render();
+
+    drawn.scene = activeScene;
+    drawn.overlay = !!dissolveOverlay && dissolveOverlay.active;
+    drawn.width = renderer.domElement.width;
+    drawn.height = renderer.domElement.height;
+  },
+  { phase: 'render', priority: 'critical', budget: 12 },
+);
+
+// Update scroll bending effect independently of scenes (decorative: first to go)
+if (scrollBender) {
+  scheduler.add(
+    'scroll-bender',
+    () => scrollBender.update(scrollService.scroll),
+    {
+      phase: 'dom',
+      priority: 'low',
+      budget: 2,
+    },
+  );
+}
 
-  // === GRADIENT OVERLAY ANIMATION ===
-  if (gradientEl) {
-    if (isHome) {
+// === GRADIENT OVERLAY ANIMATION ===
+scheduler.add(
+  'gradient',
+  () => {
+    if (!gradientEl) return;
+    if (currentRoute.gradient === 'scroll') {
       // 0 opacity at scroll 0, 1 opacity at scroll 100vh (window.innerHeight)
       const h = window.innerHeight;
-      const opacity = Math.min(1, Math.max(0, currentScrollY / h));
+      const opacity = Math.min(1, Math.max(0, scrollService.scroll / h));
       gradientEl.style.opacity = opacity;
+    } else if (currentRoute.gradient === 'hidden') {
+      gradientEl.style.opacity = 0;
     } else {
-      // Always visible on other pages
+      // Always visible
       gradientEl.style.opacity = 1;
     }
-  }
+  },
+  { phase: 'dom' },
+);
 
-  stats.end();
-  perfMonitor.endFrame();
-}
+scheduler.add('dev-hud', () => devHud.update(), { phase: 'dom' });
+
+scheduler.add(
+  'frame-end',
+  () => {
+    stats.end();
+    perfMonitor.endFrame();
+  },
+  { phase: 'dom', priority: 'critical' },
+);
 
-// Start the animation loop (or ensure it runs)
-requestAnimationFrame(animate);
+// Start the animation loop
+scheduler.start();
 
 // Initial Load Complete: Fade out the global loader
 // Initial Load Complete: Interactive entry
@@ -662,52 +1065,48 @@ const loaderBtn = document.getElementById('loader-button');
 const loaderBtnMute = document.getElementById('loader-button-mute');
 
 if (initialLoader && loaderBtn) {
-  // 1. Start Dot Animation
-  let dots = 0;
-  const dotInterval = setInterval(() => {
-    dots = (dots + 1) % 4; // 0, 1, 2, 3
-    loaderBtn.textContent = 'Loading' + '.'.repeat(dots);
-  }, 1000);
-
-  // 2. Wait for Video Loader
-  videoLoader.onProgress = (progress) => {
-    // Optional: Log progress or update a visual bar
-    // console.log(\`[Loader] Video Progress: \${Math.floor(progress)}%\`);
+  // 1. Real progress of the critical assets (videos, GLB, light bake)
+  const progressBar = initialLoader.querySelector(
+    '.global-loader-progress-bar',
+  );
+  // Loader label follows the locale, including mid-load switches
+  let loaderText = { key: 'loader.loading', vars: {} };
+  const setLoaderText = (key, vars = {}) => {
+    loaderText = { key, vars };
+    loaderBtn.textContent = i18n.t(key, vars);
   };
+  i18n.subscribe(() => setLoaderText(loaderText.key, loaderText.vars));
 
-  videoLoader.onComplete = () => {
-    onReady();
-  };
+  const stopProgress = assets.onProgress(({ percent }) => {
+    const pct = Math.floor(percent);
+    setLoaderText('loader.progress', { percent: pct });
+    if (progressBar) progressBar.style.transform = `scaleX(${pct / 100})`;
+  }, 'critical');
 
-  // Start polling if not using the interval approach inside loader (internal polling is used)
+  // 2. Gate entry until every critical asset has loaded (or failed)
+  assets.whenReady('critical').then(() => {
+    stopProgress();
+    onReady();
+  });
 
   function onReady() {
     // Initialize Scenes with Preloaded Video
-    const showreelVideo = videoLoader.getVideo('showreel');
-    const bgVideo = videoLoader.getVideo('website-bg');
+    const showreelVideo = assets.get('showreel');
+    const bgVideo = assets.get('website-bg');
 
-    if (isDesktop) {
-      mountainScene = new MountainScene(
-        renderer,
-        qualityManager,
-        showreelVideo,
-      );
-      grassScene = new GrassScene(renderer, qualityManager);
+    if (!renderer) {
+      // No WebGL: DOM-only pipeline, components mount as usual
+      fallbackScene = new FallbackScene(container, bgVideo);
     } else {
-      // Mobile
-      mountainScene = new MountainScene(
-        renderer,
-        qualityManager,
-        showreelVideo,
+      // A scene that fails to build is skipped; the frame loop and enterSite() handle it missing
+      mountainScene = safely(
+        'MountainScene',
+        () => new MountainScene(renderer, qualityManager, showreelVideo),
       );
 
-      // Inject Background Video (bgVideo)
-      if (bgVideo && container) {
-        bgVideo.id = 'mobile-bg-video';
-        bgVideo.className = 'bg-video-mobile';
-        container.appendChild(bgVideo);
-        bgVideo.play().catch((e) => console.log('Mobile BG Autoplay fail', e));
-      }
+      // Desktop adds GrassScene, mobile injects the background video
+      scenesReady = true;
+      setPipeline(isDesktop);
     }
 
     // Initial Resize to set up created scenes
@@ -722,15 +1121,34 @@ if (initialLoader && loaderBtn) {
       updateRouteState(ns, currentContainer);
     }
 
+    // Returning visitor: reuse the stored tier, no benchmark and no gate
+    const remembered = queryOverrides.skipLoader ? null : entryMemory.load();
+    if (remembered) {
+      autoEnter(remembered);
+      return;
+    }
+
     // 3. Pre-flight Benchmark (500ms dead time)
-    loaderBtn.textContent = 'Calibrating...';
+    setLoaderText('loader.calibrating');
     perfMonitor.startBenchmark();
 
     setTimeout(() => {
       perfMonitor.endBenchmark();
+      // ?quality locks the tier, so report the one in use next to the benchmark's pick
+      events.emit(AppEvents.BENCHMARK_DONE, {
+        tier: qualityManager.tier,
+        benchmarkTier: perfMonitor.benchmarkResult.tier,
+        medianFPS: perfMonitor.benchmarkResult.medianFPS,
+      });
+
+      // ?skipLoader: no entry gate. Audio needs a user gesture, so enter muted.
+      if (queryOverrides.skipLoader) {
+        if (audioManager) audioManager.setMute(true);
+        enterSite(false, { auto: true, gated: false });
+        return;
+      }
 
-      clearInterval(dotInterval);
-      loaderBtn.textContent = 'Click to Enter';
+      setLoaderText('loader.enter');
       loaderBtn.classList.remove('is-secondary');
 
       // Show Mute Option
@@ -742,9 +1160,15 @@ if (initialLoader && loaderBtn) {
       loaderBtn.addEventListener(
         'click',
         () => {
-          // Unlock Audio Context
-          audioManager.unlock();
-          enterSite();
+          if (audioManager && queryOverrides.muted) {
+            // ?muted: behave like "Enter without audio"
+            audioManager.setMute(true);
+          } else if (audioManager) {
+            // Unlock Audio Context
+            audioManager.unlock();
+          }
+          rememberEntry(!queryOverrides.muted);
+          enterSite(!queryOverrides.muted);
         },
         { once: true },
       );
@@ -756,8 +1180,9 @@ if (initialLoader && loaderBtn) {
           () => {
             // Do NOT unlock audio context
             console.log('Entering without audio context');
-            audioManager.setMute(true); // Update UI to 'SOUND OFF'
-            enterSite();
+            if (audioManager) audioManager.setMute(true); // Update UI to 'SOUND OFF'
+            rememberEntry(false);
+            enterSite(false);
           },
           { once: true },
         );
@@ -765,7 +1190,59 @@ if (initialLoader && loaderBtn) {
     }, 800); // 800ms dead time for benchmark
   }
 
-  function enterSite() {
+  function rememberEntry(withAudio) {
+    const result = perfMonitor.benchmarkResult;
+    entryMemory.save({
+      audio: withAudio,
+      tier: result ? result.tier : qualityManager.currentTier,
+    });
+    updateEntryReset();
+  }
+
+  // Audio can't start without a gesture, so the auto-enter is always muted;
+  // visitors who chose sound get a prompt to turn it back on
+  function autoEnter(remembered) {
+    console.log('[Entry] Returning visitor, auto-entering', remembered);
+    if (remembered.tier) qualityManager.setTier(remembered.tier);
+    setLoaderText('loader.welcomeBack');
+
+    setTimeout(() => {
+      if (audioManager) audioManager.setMute(true);
+      enterSite(false, { auto: true });
+      if (audioManager && remembered.audio && !queryOverrides.muted) {
+        showSoundPrompt();
+      }
+    }, Config.Entry.autoEnterDelay);
+  }
+
+  function showSoundPrompt() {
+    const prompt = document.getElementById('sound-prompt');
+    if (!prompt) return;
+
+    const hide = () => {
+      clearTimeout(timer);
+      offMute();
+      prompt.classList.remove('is-visible');
+    };
+    const timer = setTimeout(hide, Config.Entry.soundPromptDuration);
+    // Sound turned on some other way (nav toggle): the prompt is moot
+    const offMute = events.on(AppEvents.AUDIO_MUTE, ({ muted }) => {
+      if (!muted) hide();
+    });
+
+    prompt.addEventListener(
+      'click',
+      () => {
+        audioManager.setMute(false); // Inside the gesture, so play() is allowed
+        hide();
+      },
+      { once: true },
+    );
+    prompt.classList.add('is-visible');
+  }
+
+  // `gated` false: no entry choice was made (?skipLoader), so analytics skips it
+  function enterSite(withAudio, { auto = false, gated = true } = {}) {
     siteEntered = true;
     // Trigger Animation
     if (mountainScene) {
@@ -779,6 +1256,11 @@ if (initialLoader && loaderBtn) {
     // Enable Scroll
     lenis.start();
 
+    // Deep link on first load (scroll was locked at 0 behind the loader)
+    if (window.location.hash) scrollToHash(lenis, window.location.hash);
+
+    events.emit(AppEvents.LOADER_ENTERED, { audio: withAudio, auto, gated });
+
     // Animate Out Loader
     gsap.to(initialLoader, {
       opacity: 0,
@@ -786,6 +1268,11 @@ if (initialLoader && loaderBtn) {
       duration: 0.5,
     });
   }
-
-  // VideoLoader handles its own checks now
+} else {
+  // No entry gate on this page: the site is live straight away
+  events.emit(AppEvents.LOADER_ENTERED, {
+    audio: false,
+    auto: true,
+    gated: false,
+  });
 }
@@ -23,18 +23,69 @@ export { THREE, Stats, gsap, ScrollTrigger, Lenis, SplitText };
 
 // Utilities
 export { Config } from './settings.js';
-export { initDisposables } from './utils/disposables.js';
+export { events, EventBus, AppEvents } from './utils/events.js';
+export {
+  initDisposables,
+  DisposableScope,
+  sessionScope,
+  getPageScope,
+  disposePageScope,
+} from './utils/disposables.js';
 export { initObserverHub } from './utils/observers.js';
+export { isWebGLAvailable } from './utils/webgl.js';
+export { readStored, writeStored, readStoredJSON } from './utils/storage.js';
+export { motion } from './utils/motion.js';
+export { entryMemory } from './utils/entryMemory.js';
+export { i18n } from './utils/i18n.js';
+export { shortcuts, isFocusedWithin } from './utils/shortcuts.js';
+export { scrollService } from './utils/scrollService.js';
+export {
+  analytics,
+  consoleProvider,
+  noopProvider,
+  createEndpointProvider,
+} from './utils/analytics.js';
+export { safely, reportError, onError } from './utils/errorBoundary.js';
 export { initPageVisibility } from './utils/visibility.js';
 export { initBadgeRemover } from './utils/badge.js';
 export { initPageTitleChanger } from './utils/title.js';
 export { QualityManager } from './utils/QualityManager.js';
 export { PerformanceMonitor } from './utils/PerformanceMonitor.js';
-export { VideoLoader } from './utils/VideoLoader.js';
+export { FrameScheduler, FramePhases } from './utils/FrameScheduler.js';
+export { AssetManager, assets } from './utils/AssetManager.js';
+export { assetUrl, getAssetBase, setAssetBase } from './utils/assetUrl.js';
+export {
+  registerServiceWorker,
+  precacheMedia,
+  isMediaCached,
+} from './utils/serviceWorker.js';
+export { DevHud } from './utils/DevHud.js';
+export { TweakPanel, serializeSettings } from './utils/TweakPanel.js';
+export { ComponentRegistry } from './utils/ComponentRegistry.js';
+export {
+  getAnchorOffset,
+  getHashTarget,
+  scrollToHash,
+  setHash,
+} from './utils/anchors.js';
+export {
+  saveScrollPosition,
+  getScrollPosition,
+  isHistoryNavigation,
+} from './utils/scrollMemory.js';
+export { getQueryOverrides } from './utils/queryOverrides.js';
 
 // Scenes
 export { MountainScene } from './scenes/MountainScene.js';
 export { GrassScene } from './scenes/GrassScene.js';
+export { FallbackScene } from './scenes/FallbackScene.js';
+
+// Transitions
+export {
+  PageTransitions,
+  createBarbaTransitions,
+} from './transitions/PageTransitions.js';
+export { DissolveOverlay } from './transitions/DissolveOverlay.js';
 
 // Components
 export { ScrollBender } from './components/ScrollBender.js';
@@ -0,0 +1,66 @@
+import { Config } from '../settings.js';
+
+/**
+ * Fallback Scene
+ * Stand-in for the WebGL pipeline when no context can be created.
+ * The website-bg video (or a CSS gradient animation) replaces GrassScene,
+ * and the mountain hero gets a static gradient / poster image.
+ */
+export class FallbackScene {
+  constructor(container, bgVideo, config = Config.Fallback) {
+    this.container = container;
+    this.config = config;
+    this.heroEl = null;
+    this.video = null;
+
+    document.body.classList.add('no-webgl');
+
+    const canUseVideo = config.useBackgroundVideo && bgVideo && !bgVideo.error;
+    if (canUseVideo) {
+      // Same element/styling as the mobile pipeline
+      bgVideo.id = 'fallback-bg-video';
+      bgVideo.className = 'bg-video-mobile';
+      container.appendChild(bgVideo);
+      this.video = bgVideo;
+      this.playVideo();
+    } else {
+      container.classList.add('webgl-fallback-animated');
+    }
+
+    console.log(
+      `[FallbackScene] No WebGL, using ${this.video ? 'background video' : 'CSS animation'}`,
+    );
+  }
+
+  // Mountain routes: paint the hero element instead of the 3D scene
+  mountHero(el) {
+    if (this.heroEl === el) return;
+    this.unmountHero();
+    if (!el) return;
+
+    el.classList.add('webgl-fallback-hero');
+    el.style.backgroundImage = this.config.heroPoster
+      ? `url("${this.config.heroPoster}"), ${this.config.heroGradient}`
+      : this.config.heroGradient;
+    this.heroEl = el;
+  }
+
+  unmountHero() {
+    if (!this.heroEl) return;
+    this.heroEl.classList.remove('webgl-fallback-hero');
+    this.heroEl.style.backgroundImage = '';
+    this.heroEl = null;
+  }
+
+  playVideo() {
+    if (this.video) {
+      this.video
+        .play()
+        .catch((e) => console.log('[FallbackScene] BG Autoplay fail', e));
+    }
+  }
+
+  pauseVideo() {
+    if (this.video) this.video.pause();
+  }
+}
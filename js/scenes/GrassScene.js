@@ -123,6 +123,11 @@ export class GrassScene {
     this.currentScrollY = 0;
     this.scrollOffsetNormZ = 0;
 
+    // Render-on-demand: set by anything that changes the picture, cleared by render()
+    this.dirty = true;
+    this.renderedScrollY = 0;
+    this.renderedTime = 0; // Shader time of the last drawn frame
+
     // Grass Data
     this.grassBasePositions = [];
 
@@ -150,12 +155,15 @@ export class GrassScene {
 
     // Subscribe to quality changes
     if (this.qm) {
-      this.qm.subscribe(this.onQualityChange.bind(this));
+      this.unsubscribeQuality = this.qm.subscribe(
+        this.onQualityChange.bind(this)
+      );
     }
   }
 
   onQualityChange(profile) {
     console.log('[GrassScene] Quality update:', profile.tier);
+    this.markDirty();
 
     // 0. Enable/Disable
     this.isEnabled = profile.enableGrass !== false; // Default to true if undefined
@@ -247,6 +255,9 @@ export class GrassScene {
   }
 
   dispose() {
+    this.unmount();
+    if (this.unsubscribeQuality) this.unsubscribeQuality();
+
     if (this.ground) {
       this.ground.geometry.dispose();
       this.ground.material.dispose();
@@ -261,6 +272,7 @@ export class GrassScene {
   }
 
   mount() {
+    this.markDirty();
     window.addEventListener('pointermove', this.onPointerMove, {
       capture: true,
     });
@@ -524,6 +536,7 @@ export class GrassScene {
     this.camera.updateProjectionMatrix();
     this.updateGroundToViewport();
     this.layoutGrass();
+    this.markDirty();
     // this.updatePerformanceConfig(width, height); // Deprecated
   }
 
@@ -584,7 +597,6 @@ export class GrassScene {
     );
 
     // 3. System Updates
-    this.uniforms.time.value = time;
     // this.perfMonitor.update(dt); // Handled globally now
 
     let mouseUv = null;
@@ -622,12 +634,44 @@ export class GrassScene {
       this.lastGroundPoint = null;
     }
 
-    this.windField.update(mouseUv, dir, dt);
-    this.uniforms.windTex.value = this.windField.texture;
+    // 4. Wind: only simulate while the pointer pushes or the field still moves
+    const { enabled, windEpsilon, scrollEpsilon, idleFps } =
+      Config.RenderOnDemand;
+    const injecting = mouseUv !== null && dir.lengthSq() > 0;
+    const windActive = injecting || this.windField.energy > windEpsilon;
+    if (windActive) {
+      this.windField.update(mouseUv, dir, dt);
+      this.uniforms.windTex.value = this.windField.texture;
+    }
+
+    // 5. Idle: the ambient sway never stops, but on its own it only needs
+    // `idleFps` frames; time stays continuous so the capped frames don't jump
+    const active =
+      !enabled ||
+      windActive ||
+      Math.abs(this.currentScrollY - this.renderedScrollY) > scrollEpsilon;
+    const swayDue = idleFps > 0 && time - this.renderedTime >= 1 / idleFps;
+    this.uniforms.time.value = time;
+
+    if (active || swayDue) this.dirty = true;
+  }
+
+  // === RENDER ON DEMAND ===
+
+  markDirty() {
+    this.dirty = true;
+  }
+
+  // Valid after update(): false while nothing would change on screen
+  needsRender() {
+    return this.dirty;
   }
 
   render() {
     this.renderer.render(this.scene, this.camera);
+    this.dirty = false;
+    this.renderedScrollY = this.currentScrollY;
+    this.renderedTime = this.uniforms.time.value;
   }
 
   // === EVENTS ===
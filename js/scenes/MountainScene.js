@@ -1,7 +1,7 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { Config } from '../settings.js';
+import { motion } from '../utils/motion.js';
+import { assets } from '../utils/AssetManager.js';
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
 
 export class MountainScene {
@@ -54,6 +54,12 @@ export class MountainScene {
     // Performance State
     this.currentScaleDPR = 1.0;
 
+    // Render-on-demand: set by anything that changes the picture, cleared by render()
+    this.dirty = true;
+    this.scrollY = 0;
+    this.renderedScrollY = 0;
+    this.renderedVideoTime = -1;
+
     this.initCamera();
     this.init();
   }
@@ -67,13 +73,18 @@ export class MountainScene {
 
     // Subscribe
     if (this.qm) {
-      this.qm.subscribe(this.onQualityChange.bind(this));
+      this.unsubscribeQuality = this.qm.subscribe(
+        this.onQualityChange.bind(this),
+      );
     }
+    this.unsubscribeMotion = motion.subscribe(this.onMotionChange.bind(this));
 
     console.log('[Mountain] init() completed');
   }
 
   onQualityChange(profile) {
+    this.markDirty();
+
     // 1. Update DPR
     this.targetDPR = profile.maxDPR;
     this.applyDPR(profile.maxDPR);
@@ -87,40 +98,70 @@ export class MountainScene {
 
       const drawCount = Math.floor(this.snowCount * ratio);
       this.snow.geometry.setDrawRange(0, drawCount);
-      this.snow.visible = drawCount > 0;
+      this.updateSnowVisibility();
+    }
+  }
+
+  onMotionChange(reduced) {
+    // Reduced motion: no falling snow
+    this.reducedMotion = reduced;
+    this.updateSnowVisibility();
+  }
+
+  // Snow is desktop-only; main.js flips this when the breakpoint is crossed
+  setSnowEnabled(enabled) {
+    this.snowDisabled = !enabled;
+    if (enabled && !this.snow) {
+      this.initSnow();
+      if (this.qm) this.onQualityChange(this.qm.getProfile());
     }
+    this.updateSnowVisibility();
+  }
+
+  updateSnowVisibility() {
+    if (!this.snow) return;
+    this.snow.visible =
+      this.snow.geometry.drawRange.count > 0 &&
+      !this.reducedMotion &&
+      !this.snowDisabled;
+    this.markDirty();
   }
 
   dispose() {
     console.log('[Mountain] dispose() called');
-    window.removeEventListener('click', this.resumeVideo);
-    window.removeEventListener('touchstart', this.resumeVideo);
+    this.disposed = true;
+    this.unmount();
+    if (this.unsubscribeQuality) this.unsubscribeQuality();
+    if (this.unsubscribeMotion) this.unsubscribeMotion();
 
     if (this.video) {
+      // Owned by the AssetManager: keep it alive, a rebuilt scene reuses it
+      this.video.removeEventListener('ended', this.onVideoEnded);
       this.video.pause();
-      this.video.src = '';
-      this.video.load();
-      if (this.video.parentNode) {
-        this.video.parentNode.removeChild(this.video);
-      }
     }
 
-    if (this.screenMesh) {
-      this.screenMesh.geometry.dispose();
-      this.screenMesh.material.dispose();
-    }
+    // Everything in the content group: screen, background, GLB, snow
+    this.contentGroup.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
 
-    // if (this.lightRT) this.lightRT.dispose();
-    // if (this.lightScene) {
-    //     this.lightMesh.geometry.dispose();
-    //     this.lightMaterial.dispose();
-    // }
+    if (this.videoTexture) this.videoTexture.dispose();
+    if (this.avgColorRT) this.avgColorRT.dispose();
+    if (this.lightCvtMesh) {
+      this.lightCvtMesh.geometry.dispose();
+      this.lightCvtMesh.material.dispose();
+    }
+    if (this.mountainUniforms && this.mountainUniforms.tDiffuse.value) {
+      this.mountainUniforms.tDiffuse.value.dispose();
+    }
 
     if (this.scene.background) this.scene.background.dispose();
   }
 
   mount() {
     console.log('[Mountain] mount() called');
+    this.markDirty();
     window.addEventListener('click', this.resumeVideo, { once: true });
     window.addEventListener('touchstart', this.resumeVideo, { once: true });
     document.addEventListener('visibilitychange', this.handleVisibilityChange);
@@ -239,12 +280,10 @@ export class MountainScene {
       this.video = this.externalVideo;
       console.log('[Mountain] Using preloaded video element');
     } else {
-      this.video = document.createElement('video');
-      this.video.crossOrigin = 'anonymous';
-      this.video.src = `https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/video/showreel-v2.mp4?t=${Date.now()}`;
-      this.video.muted = true;
-      this.video.playsInline = true;
-      this.video.preload = 'auto';
+      // Not preloaded: request it now (deduped if main.js already did)
+      const { path, priority } = Config.Assets.showreel;
+      assets.load(path, { type: 'video', id: 'showreel', priority });
+      this.video = assets.get('showreel');
     }
 
     // FORCE LOOP (fixes potential loss of attribute)
@@ -365,15 +404,7 @@ export class MountainScene {
   // === SCENE SETUP & UTILS ===
 
   initLoader() {
-    const loader = new GLTFLoader();
-    loader.setCrossOrigin('anonymous');
-
-    const dracoLoader = new DRACOLoader();
-    dracoLoader.setDecoderPath(
-      'https://www.gstatic.com/draco/versioned/decoders/1.5.7/',
-    );
-    loader.setDRACOLoader(dracoLoader);
-
+    // Both are usually preloaded by main.js, so these resolve from the cache
     // Shared Uniforms object for all mountain meshes to allow single-update control
     this.mountainUniforms = {
       tDiffuse: { value: null }, // Will set per texture if needed, but here we load one texture.
@@ -381,23 +412,30 @@ export class MountainScene {
       uStrength: { value: 1.2 },
     };
 
-    const texLoader = new THREE.TextureLoader();
-    texLoader.setCrossOrigin('anonymous');
-
-    const mountainTex = texLoader.load(
-      'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/textures/light_bake.webp',
-      () => {},
-    );
-
-    mountainTex.colorSpace = THREE.LinearSRGBColorSpace;
-    mountainTex.flipY = false;
-
-    // Update the shared uniform value
-    this.mountainUniforms.tDiffuse.value = mountainTex;
+    const { lightBake, mountainModel } = Config.Assets;
+
+    assets
+      .load(lightBake.path, { type: 'texture', priority: lightBake.priority })
+      .then((mountainTex) => {
+        mountainTex.colorSpace = THREE.LinearSRGBColorSpace;
+        mountainTex.flipY = false;
+        mountainTex.needsUpdate = true;
+
+        // Update the shared uniform value
+        this.mountainUniforms.tDiffuse.value = mountainTex;
+        this.markDirty();
+      })
+      .catch((err) =>
+        console.error('[Mountain] Failed to load light bake texture:', err),
+      );
 
-    loader.load(
-      'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/models/mountain_export_optimised.glb',
-      (gltf) => {
+    assets
+      .load(mountainModel.path, {
+        type: 'glb',
+        priority: mountainModel.priority,
+      })
+      .then((gltf) => {
+        if (this.disposed) return; // Scene was rebuilt while loading
         const root = gltf.scene || gltf.scenes[0];
         root.traverse((obj) => {
           if (obj.isMesh) {
@@ -438,10 +476,11 @@ export class MountainScene {
         });
 
         this.contentGroup.add(root);
-      },
-      undefined,
-      (err) => console.error('[Mountain] Failed to load mountain GLB:', err),
-    );
+        this.markDirty();
+      })
+      .catch((err) =>
+        console.error('[Mountain] Failed to load mountain GLB:', err),
+      );
   }
 
   initSnow() {
@@ -567,6 +606,7 @@ export class MountainScene {
       const planeW = planeH * (width / height);
       this.bgMesh.scale.set(planeW, planeH, 1);
     }
+    this.markDirty();
     // this.updatePerformanceConfig(width, height);
   }
 
@@ -663,8 +703,42 @@ export class MountainScene {
     this.updateSnow(time, dt);
   }
 
+  // === RENDER ON DEMAND ===
+
+  markDirty() {
+    this.dirty = true;
+  }
+
+  // Valid after update(): false while nothing would change on screen
+  needsRender() {
+    if (this.dirty) return true;
+    // Falling snow never settles
+    if (this.snow && this.snow.visible) return true;
+    // New video frame
+    if (this.video && this.video.currentTime !== this.renderedVideoTime) {
+      return true;
+    }
+    // Light still easing toward the last sample (only eases while playing)
+    if (this.video && !this.video.paused && this.isLightSettling()) return true;
+    return (
+      Math.abs(this.scrollY - this.renderedScrollY) >
+      Config.RenderOnDemand.scrollEpsilon
+    );
+  }
+
+  isLightSettling() {
+    const { r, g, b } = this.currentColor;
+    const target = this.targetColor;
+    const distance =
+      Math.abs(r - target.r) + Math.abs(g - target.g) + Math.abs(b - target.b);
+    return distance > Config.RenderOnDemand.lightEpsilon;
+  }
+
   render() {
     this.renderer.render(this.scene, this.camera);
+    this.dirty = false;
+    this.renderedScrollY = this.scrollY;
+    this.renderedVideoTime = this.video ? this.video.currentTime : -1;
   }
 
   // === EVENTS ===
@@ -731,17 +805,18 @@ export class MountainScene {
     this.playVideo();
   };
 
-  animateEntry() {
+  // immediate: jump to the entered state (e.g. a scene rebuilt after entry)
+  // Reduced motion skips the camera zoom the same way
+  animateEntry({ immediate = false } = {}) {
     console.log('[Mountain] animateEntry()');
+    const duration = immediate || motion.reduced ? 0 : 3.0;
 
     // 1. Camera Zoom
     gsap.to(this.camera.position, {
       z: 0.65,
-      duration: 3.0,
+      duration,
       ease: 'power3.out',
-      onUpdate: () => {
-        // any constant updates if needed
-      },
+      onUpdate: () => this.markDirty(),
     });
 
     // 2. Background Color Fade (Black -> White (modulates texture))
@@ -758,8 +833,9 @@ export class MountainScene {
     ) {
       gsap.to(this.bgMesh.material.uniforms.uFade, {
         value: 1.0,
-        duration: 3.0,
+        duration,
         ease: 'linear',
+        onUpdate: () => this.markDirty(),
       });
     }
 
@@ -781,6 +857,8 @@ export class MountainScene {
     // Wait, camera is at 0.65, objects are at 0. Distance is 0.65.
     // h = 2 * 0.65 * tan(20deg) = 1.3 * 0.364 = 0.473
 
+    this.scrollY = scrollY;
+
     const visibleHeightAtDist0 = 0.3;
     const scrollRatio = scrollY / window.innerHeight;
 
@@ -1,6 +1,116 @@
 export const Config = {
   System: {
     desktopBreakpoint: 1024,
+    navSelector: 'nav', // Fixed navigation, used as the anchor scroll offset
+    anchorGap: 16, // Extra px between the nav and an anchor target
+    // Hosts that count as a dev build: dev-only tools (tweak panel) need one of
+    // these on top of ?debug=1, which any visitor can set
+    devHosts: ['localhost', '127.0.0.1', '[::1]'],
+  },
+  // Per barba namespace. Unknown namespaces fall back to 'default'.
+  Routes: {
+    default: {
+      scene: 'grass', // 'mountain' | 'grass'
+      heroSelector: null, // Element the mountain scene tracks (mountain only)
+      toneMapping: 'None', // THREE.<name>ToneMapping
+      exposure: 1.0,
+      gradient: 'static', // 'static' (always 1) | 'scroll' (0 -> 1 over 100vh) | 'hidden'
+      revealDelay: 1000, // ms before the wrapper fades back in
+    },
+    home: {
+      scene: 'mountain',
+      heroSelector: '#mountain-hero',
+      toneMapping: 'ACESFilmic',
+      exposure: 1.0,
+      gradient: 'scroll',
+      revealDelay: 2000,
+    },
+    about: {},
+    work: {},
+    'case-study': {},
+  },
+  // Barba page transitions (see js/transitions/PageTransitions.js).
+  // Links pick one with data-transition="<name>"; otherwise rules, then default.
+  Transitions: {
+    default: 'fade',
+    fade: { duration: 1000 },
+    wipe: { duration: 800, direction: 'up', color: '#000' }, // left | right | up | down
+    dissolve: { duration: 1200, scale: 4.0, edge: 0.08 },
+    instant: { duration: 0 },
+    rules: [
+      // { from: 'work', to: 'case-study', use: 'wipe' },
+    ],
+  },
+  // Loaded through utils/AssetManager.js; 'critical' ones gate "Click to Enter"
+  // Paths are relative to `baseUrl` (see utils/assetUrl.js for per-environment
+  // overrides: <meta name="asset-base">, or a same-origin ?assetBase=./assets/)
+  Assets: {
+    baseUrl: 'https://bunqlabs.github.io/bunq-labs-website-dec2025/assets/',
+    // Draco WASM decoder, served with the other assets: copy draco_decoder.js,
+    // draco_decoder.wasm and draco_wasm_wrapper.js (three/examples/jsm/libs/draco/)
+    // into <asset base>/draco/
+    dracoDecoderPath: 'draco/',
+    clientLogos: 'images/client-logos/',
+    showreel: { path: 'video/showreel-v2.mp4', priority: 'critical' },
+    websiteBg: { path: 'video/website-bg.mp4', priority: 'critical' },
+    mountainModel: {
+      path: 'models/mountain_export_optimised.glb',
+      priority: 'critical',
+    },
+    lightBake: { path: 'textures/light_bake.webp', priority: 'critical' },
+    ambientAudio: { path: 'audio/ambient_audio.mp4', priority: 'low' },
+  },
+  // Locales (see utils/i18n.js). Every locale translates the same pages in
+  // place; there are no per-locale page copies or URLs
+  I18n: {
+    defaultLocale: 'en',
+    locales: {
+      en: { label: 'EN' },
+      nl: { label: 'NL' },
+    },
+  },
+  // Tracking (see utils/analytics.js). Built-in providers: 'console', 'noop',
+  // 'endpoint' (POSTs JSON to `endpoint`); add real ones with analytics.use()
+  Analytics: {
+    enabled: true,
+    providers: ['noop'], // 'endpoint' to send, ?debug=1 adds 'console'
+    endpoint: '/api/analytics', // Local stand-in collector
+  },
+  // Returning visitors (see utils/entryMemory.js)
+  Entry: {
+    remember: true, // Store the loader choice + benchmark tier in localStorage
+    maxAgeDays: 30, // Older choices show the gate again
+    autoEnterDelay: 600, // ms of "Welcome back" before auto-entering
+    soundPromptDuration: 8000, // ms the "Tap for sound" prompt stays up
+  },
+  // Media cache (sw.js). Bump `version` whenever an asset changes in place:
+  // the new worker drops the old cache
+  ServiceWorker: {
+    enabled: true,
+    version: 1,
+    precache: [
+      'showreel',
+      'websiteBg',
+      'mountainModel',
+      'lightBake',
+      'ambientAudio',
+    ],
+  },
+  // Used when no WebGL context can be created (see scenes/FallbackScene.js)
+  Fallback: {
+    heroPoster: null, // Image URL for the mountain hero, null = gradient only
+    heroGradient:
+      'linear-gradient(180deg, #0b1a2a 0%, #3d5a73 55%, #c9d6df 100%)',
+    useBackgroundVideo: true, // website-bg video behind pages; false = CSS animation
+  },
+  // Skip WebGL frames while the visible scene has nothing new to draw
+  // (no pointer wind, scroll, snow or video playback). See scenes' needsRender().
+  RenderOnDemand: {
+    enabled: true,
+    windEpsilon: 0.001, // Estimated wind field velocity treated as still
+    scrollEpsilon: 0.5, // px of scroll since the last drawn frame
+    idleFps: 20, // Grass frames/s while only the ambient sway moves (0: hold the frame)
+    lightEpsilon: 0.004, // Mountain light vs. its video colour (~1/255)
   },
   Mountain: {
     snowCount: 500,
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+
+/**
+ * Full-screen noise mask drawn on top of the active scene.
+ * uProgress 0 = fully clear, 1 = fully covered.
+ */
+export class DissolveOverlay {
+  constructor(renderer, params = {}) {
+    this.renderer = renderer;
+
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    this.uniforms = {
+      uProgress: { value: 0 },
+      uScale: { value: params.scale ?? 4.0 },
+      uEdge: { value: params.edge ?? 0.08 },
+      uAspect: { value: window.innerWidth / window.innerHeight },
+      uColor: { value: new THREE.Color(params.color ?? 0x000000) },
+    };
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float uProgress;
+        uniform float uScale;
+        uniform float uEdge;
+        uniform float uAspect;
+        uniform vec3 uColor;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453123);
+        }
+
+        // Value noise
+        float noise(vec2 p) {
+          vec2 i = floor(p);
+          vec2 f = fract(p);
+          vec2 u = f * f * (3.0 - 2.0 * f);
+          float a = hash(i);
+          float b = hash(i + vec2(1.0, 0.0));
+          float c = hash(i + vec2(0.0, 1.0));
+          float d = hash(i + vec2(1.0, 1.0));
+          return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+        }
+
+        void main() {
+          vec2 p = vUv * vec2(uAspect, 1.0) * uScale;
+          float n = noise(p) * 0.65 + noise(p * 2.7) * 0.35;
+
+          // Stretch progress so 0 and 1 are fully clear / fully covered
+          float t = uProgress * (1.0 + 2.0 * uEdge) - uEdge;
+          float mask = smoothstep(n - uEdge, n + uEdge, t);
+
+          gl_FragColor = vec4(uColor, mask);
+        }
+      `,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.mesh.frustumCulled = false;
+    this.scene.add(this.mesh);
+  }
+
+  get active() {
+    return this.uniforms.uProgress.value > 0;
+  }
+
+  /**
+   * Tween the mask between two progress values.
+   * @returns {Promise<void>}
+   */
+  play(from, to, durationMs) {
+    this.uniforms.uAspect.value = window.innerWidth / window.innerHeight;
+    gsap.killTweensOf(this.uniforms.uProgress);
+    return new Promise((resolve) => {
+      gsap.fromTo(
+        this.uniforms.uProgress,
+        { value: from },
+        {
+          value: to,
+          duration: durationMs / 1000,
+          ease: 'power2.inOut',
+          onComplete: resolve,
+        },
+      );
+    });
+  }
+
+  // Call after the scene render, on the same frame
+  render() {
+    if (!this.active) return;
+
+    const autoClear = this.renderer.autoClear;
+    this.renderer.autoClear = false;
+    this.renderer.render(this.scene, this.camera);
+    this.renderer.autoClear = autoClear;
+  }
+
+  dispose() {
+    gsap.killTweensOf(this.uniforms.uProgress);
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,174 @@
+import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+import { Config } from '../settings.js';
+
+/**
+ * Page Transition Library
+ * Each transition only owns the visuals: leave() hides the outgoing page,
+ * enter() reveals the incoming one. Route/scroll/component bookkeeping stays in main.js.
+ *
+ * Both receive a context:
+ * { wrapper, webgl, globalFade, dissolve, revealDelay, options }
+ * where `options` is the matching block from Config.Transitions (durations in ms).
+ */
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Drive the CSS opacity transition on an element with a custom duration
+function setOpacity(el, value, durationMs) {
+  if (!el) return;
+  el.style.transitionDuration = `${durationMs}ms`;
+  el.style.opacity = value;
+}
+
+// [tween property, travel direction]
+const WIPE_AXES = {
+  left: ['xPercent', -1],
+  right: ['xPercent', 1],
+  up: ['yPercent', -1],
+  down: ['yPercent', 1],
+};
+
+function getWipePanel(options) {
+  let panel = document.querySelector('.page-wipe');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.className = 'page-wipe';
+    document.body.appendChild(panel);
+  }
+  panel.style.backgroundColor = options.color || '#000';
+  return panel;
+}
+
+export const PageTransitions = {
+  // Opacity fade of the wrapper (and the canvas when the scene changes)
+  fade: {
+    leave({ wrapper, webgl, globalFade, options }) {
+      setOpacity(wrapper, 0, options.duration);
+      if (globalFade) setOpacity(webgl, 0, options.duration);
+      return wait(options.duration);
+    },
+    async enter({ wrapper, webgl, globalFade, revealDelay, options }) {
+      await wait(revealDelay);
+      setOpacity(wrapper, 1, options.duration);
+      if (globalFade) setOpacity(webgl, 1, options.duration);
+      await wait(options.duration);
+    },
+  },
+
+  // Solid panel sweeps across, content swaps underneath
+  wipe: {
+    leave({ options }) {
+      const panel = getWipePanel(options);
+      const [prop, dir] = WIPE_AXES[options.direction] || WIPE_AXES.up;
+      return gsap
+        .fromTo(
+          panel,
+          { xPercent: 0, yPercent: 0, [prop]: -dir * 100 },
+          {
+            [prop]: 0,
+            duration: options.duration / 1000,
+            ease: 'power3.inOut',
+          },
+        )
+        .then();
+    },
+    async enter({ wrapper, revealDelay, options }) {
+      // Wrapper may still be hidden if a previous fade was interrupted
+      setOpacity(wrapper, 1, 0);
+      await wait(revealDelay);
+      const panel = getWipePanel(options);
+      const [prop, dir] = WIPE_AXES[options.direction] || WIPE_AXES.up;
+      await gsap
+        .to(panel, {
+          [prop]: dir * 100,
+          duration: options.duration / 1000,
+          ease: 'power3.inOut',
+        })
+        .then();
+    },
+  },
+
+  // Noise mask rendered over the WebGL scene while the wrapper fades
+  dissolve: {
+    leave({ wrapper, dissolve, options }) {
+      setOpacity(wrapper, 0, options.duration);
+      return dissolve
+        ? dissolve.play(0, 1, options.duration)
+        : wait(options.duration);
+    },
+    async enter({ wrapper, dissolve, revealDelay, options }) {
+      await wait(revealDelay);
+      setOpacity(wrapper, 1, options.duration);
+      await (dissolve
+        ? dissolve.play(1, 0, options.duration)
+        : wait(options.duration));
+    },
+  },
+
+  // No animation (same-section links)
+  instant: {
+    leave() {
+      return Promise.resolve();
+    },
+    enter({ wrapper, webgl }) {
+      setOpacity(wrapper, 1, 0);
+      setOpacity(webgl, 1, 0);
+      return Promise.resolve();
+    },
+  },
+};
+
+function getTriggerTransition(trigger) {
+  // Trigger is 'barba', 'back' or 'forward' for programmatic/popstate navigation
+  if (!trigger || typeof trigger.getAttribute !== 'function') return null;
+  return trigger.getAttribute('data-transition');
+}
+
+function resolveName(name, fallback) {
+  if (PageTransitions[name]) return name;
+  console.warn(
+    `[Transitions] Unknown transition "${name}", using ${fallback}.`,
+  );
+  return fallback;
+}
+
+/**
+ * Build the barba `transitions` array.
+ * Barba's own priority applies: `data-transition` on the clicked link (custom rule)
+ * beats namespace rules, which beat the default.
+ * @param {{leave: Function, enter: Function, after: Function}} lifecycle
+ *   Shared hooks, called as lifecycle.leave(data, transition, options)
+ */
+export function createBarbaTransitions(lifecycle, config = Config.Transitions) {
+  const defaultName = resolveName(config.default, 'fade');
+
+  const make = (name, rule) => {
+    const transition = PageTransitions[name];
+    const options = { duration: 0, ...(config[name] || {}) };
+    return {
+      sync: false, // Ensure strictly sequential (Leave -> Remove -> Enter)
+      ...rule,
+      leave: (data) => lifecycle.leave(data, transition, options),
+      enter: (data) => lifecycle.enter(data, transition, options),
+      after: (data) => lifecycle.after(data),
+    };
+  };
+
+  const transitions = Object.keys(PageTransitions).map((name) =>
+    make(name, {
+      name: `link-${name}`,
+      custom: ({ trigger }) => getTriggerTransition(trigger) === name,
+    }),
+  );
+
+  (config.rules || []).forEach((rule, i) => {
+    const name = resolveName(rule.use, defaultName);
+    const match = { name: `rule-${i}-${name}` };
+    if (rule.from) match.from = { namespace: [].concat(rule.from) };
+    if (rule.to) match.to = { namespace: [].concat(rule.to) };
+    transitions.push(make(name, match));
+  });
+
+  transitions.push(make(defaultName, { name: defaultName }));
+  return transitions;
+}
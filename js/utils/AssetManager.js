@@ -0,0 +1,372 @@
+/**
+ * Asset Manager
+ * One loader for videos, GLB models, textures and audio.
+ * - Dedup: a URL is fetched once; later requests share the same promise/result
+ * - Priorities: 'critical' > 'high' > 'low', at most `maxConcurrent` loads at once
+ * - Progress: aggregate 0-100 per priority, e.g. to drive the entry loader
+ *
+ * Media elements (video/audio) exist from the moment they are requested, so
+ * get() can hand them out while they are still buffering.
+ * Relative URLs resolve against the asset base (see assetUrl.js).
+ */
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { assetUrl } from './assetUrl.js';
+import { isMediaCached } from './serviceWorker.js';
+import { Config } from '../settings.js';
+
+const PRIORITIES = ['critical', 'high', 'low'];
+const AUDIO_TIMEOUT = 5000; // ms before an audio load settles regardless
+
+export class AssetManager {
+  constructor({ maxConcurrent = 4 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.entries = new Map(); // url -> entry
+    this.ids = new Map(); // id -> url
+    this.queue = [];
+    this.active = 0;
+    this.listeners = new Set();
+    this.gltfLoader = null; // Created on first GLB request
+  }
+
+  /**
+   * Request an asset. Repeated calls for the same URL return the same promise.
+   * @param {string} path Absolute URL, or a path relative to the asset base
+   * @param {{type: 'video'|'glb'|'texture'|'audio', id?: string,
+   *   priority?: 'critical'|'high'|'low'}} options
+   * @returns {Promise<*>} Video/audio element, GLTF or THREE.Texture
+   */
+  load(path, { type, id = null, priority = 'high' } = {}) {
+    const url = assetUrl(path);
+    if (id) this.ids.set(id, url);
+
+    const existing = this.entries.get(url);
+    if (existing) {
+      // A more urgent request bumps a still-queued asset; started ones keep
+      // their group so progress and whenReady() don't shift under them
+      if (
+        existing.status === 'queued' &&
+        rank(priority) < rank(existing.priority)
+      ) {
+        existing.priority = priority;
+        this.sortQueue();
+      }
+      return existing.promise;
+    }
+
+    if (!LOADERS[type]) {
+      return Promise.reject(new Error(`[Assets] Unknown type "${type}"`));
+    }
+
+    const entry = {
+      url,
+      type,
+      priority,
+      progress: 0, // 0-1
+      status: 'queued', // queued | loading | done | error
+      result: null,
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Avoid unhandled rejections for fire-and-forget preloads
+    entry.promise.catch(() => {});
+
+    if (type === 'video' || type === 'audio') {
+      entry.result = createMediaElement(type);
+    }
+
+    this.entries.set(url, entry);
+    this.queue.push(entry);
+    this.sortQueue();
+    this.pump();
+    this.notify();
+    return entry.promise;
+  }
+
+  // Loaded asset by id or URL (media elements are available right away)
+  get(idOrUrl) {
+    const url = this.ids.get(idOrUrl) || assetUrl(idOrUrl);
+    const entry = this.entries.get(url);
+    return entry ? entry.result : null;
+  }
+
+  /**
+   * Aggregate progress of every asset at `priority` or more urgent.
+   * @returns {{percent: number, loaded: number, total: number}}
+   */
+  getProgress(priority = 'low') {
+    const entries = this.getEntries(priority);
+    if (entries.length === 0) return { percent: 100, loaded: 0, total: 0 };
+
+    const sum = entries.reduce((acc, entry) => acc + entry.progress, 0);
+    const loaded = entries.filter((entry) => isSettled(entry)).length;
+    return {
+      percent: (sum / entries.length) * 100,
+      loaded,
+      total: entries.length,
+    };
+  }
+
+  /**
+   * Resolves once every asset at `priority` or more urgent has loaded or failed.
+   * Failed assets don't block: the page degrades instead of hanging.
+   */
+  whenReady(priority = 'critical') {
+    return Promise.allSettled(
+      this.getEntries(priority).map((entry) => entry.promise),
+    );
+  }
+
+  /**
+   * @param {(progress: {percent: number, loaded: number, total: number}) => void} callback
+   * @param {string} priority Progress is aggregated up to this priority
+   * @returns {() => void} Unsubscribe
+   */
+  onProgress(callback, priority = 'low') {
+    const listener = { callback, priority };
+    this.listeners.add(listener);
+    callback(this.getProgress(priority));
+    return () => this.listeners.delete(listener);
+  }
+
+  // === INTERNAL ===
+
+  getEntries(priority) {
+    const max = rank(priority);
+    return Array.from(this.entries.values()).filter(
+      (entry) => rank(entry.priority) <= max,
+    );
+  }
+
+  sortQueue() {
+    this.queue.sort((a, b) => rank(a.priority) - rank(b.priority));
+  }
+
+  pump() {
+    while (this.active < this.maxConcurrent && this.queue.length) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  start(entry) {
+    this.active++;
+    entry.status = 'loading';
+
+    const setProgress = (value) => {
+      entry.progress = Math.max(entry.progress, Math.min(1, value));
+      this.notify();
+    };
+
+    LOADERS[entry.type](this, entry, setProgress)
+      .then((result) => {
+        entry.result = result;
+        entry.status = 'done';
+        entry.resolve(result);
+      })
+      .catch((err) => {
+        console.error(`[Assets] Failed to load ${entry.url}:`, err);
+        entry.status = 'error';
+        entry.reject(err);
+      })
+      .finally(() => {
+        entry.progress = 1; // Settled either way
+        this.active--;
+        this.notify();
+        this.pump();
+      });
+  }
+
+  notify() {
+    this.listeners.forEach(({ callback, priority }) =>
+      callback(this.getProgress(priority)),
+    );
+  }
+
+  getGLTFLoader() {
+    if (!this.gltfLoader) {
+      const loader = new GLTFLoader();
+      loader.setCrossOrigin('anonymous');
+
+      const dracoLoader = new DRACOLoader();
+      dracoLoader.setDecoderPath(assetUrl(Config.Assets.dracoDecoderPath));
+      loader.setDRACOLoader(dracoLoader);
+      this.gltfLoader = loader;
+    }
+    return this.gltfLoader;
+  }
+}
+
+// === LOADERS ===
+// (manager, entry, setProgress) => Promise<result>
+
+const LOADERS = {
+  // Polls the buffer (see isVideoReady below); errors resolve with the element
+  // so a missing video never blocks the entry gate
+  video(manager, entry, setProgress) {
+    const video = entry.result;
+    let cached = false;
+    isMediaCached(entry.url).then((value) => (cached = value));
+
+    return new Promise((resolve) => {
+      video.onerror = () => {
+        console.error(
+          `[Assets] Video failed ${entry.url}: ${video.error ? video.error.message : 'Unknown'}`,
+        );
+        clearInterval(poll);
+        resolve(video);
+      };
+
+      const poll = setInterval(() => {
+        const pct = getBufferedPercent(video);
+        setProgress(pct / 100);
+        if (isVideoReady(video, pct, cached)) {
+          setProgress(1);
+          clearInterval(poll);
+          resolve(video);
+        }
+      }, 100);
+
+      video.src = entry.url;
+      video.load();
+    });
+  },
+
+  // Audio streams while it plays, so this settles as soon as the element is
+  // usable: metadata loaded, the browser stopped fetching (iOS does not
+  // preload without a gesture), an error, or AUDIO_TIMEOUT at the latest
+  audio(manager, entry, setProgress) {
+    const audio = entry.result;
+    return new Promise((resolve) => {
+      const settleOn = ['canplaythrough', 'loadedmetadata', 'suspend'];
+      const done = () => {
+        clearTimeout(timeout);
+        settleOn.forEach((type) => audio.removeEventListener(type, done));
+        resolve(audio);
+      };
+      const timeout = setTimeout(done, AUDIO_TIMEOUT);
+
+      settleOn.forEach((type) => audio.addEventListener(type, done));
+      audio.addEventListener('progress', () => {
+        if (audio.buffered.length && audio.duration) {
+          setProgress(audio.buffered.end(0) / audio.duration);
+        }
+      });
+      audio.addEventListener('error', () => {
+        console.error(`[Assets] Audio failed ${entry.url}`);
+        done();
+      });
+
+      audio.src = entry.url;
+      audio.load();
+    });
+  },
+
+  glb(manager, entry, setProgress) {
+    return new Promise((resolve, reject) => {
+      manager.getGLTFLoader().load(
+        entry.url,
+        resolve,
+        (xhr) => {
+          if (xhr.lengthComputable) setProgress(xhr.loaded / xhr.total);
+        },
+        reject,
+      );
+    });
+  },
+
+  texture(manager, entry) {
+    return new Promise((resolve, reject) => {
+      const loader = new THREE.TextureLoader();
+      loader.setCrossOrigin('anonymous');
+      loader.load(entry.url, resolve, undefined, reject);
+    });
+  },
+};
+
+function createMediaElement(type) {
+  if (type === 'audio') {
+    const audio = new Audio();
+    audio.preload = 'auto';
+    return audio;
+  }
+
+  const video = document.createElement('video');
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.crossOrigin = 'anonymous';
+  return video;
+}
+
+function rank(priority) {
+  const index = PRIORITIES.indexOf(priority);
+  return index === -1 ? PRIORITIES.indexOf('high') : index;
+}
+
+function isSettled(entry) {
+  return entry.status === 'done' || entry.status === 'error';
+}
+
+// === VIDEO BUFFER ===
+
+// Buffered share of a video (0-100)
+function getBufferedPercent(video) {
+  if (!video) return 100; // Should not happen
+  if (video.error) return 100;
+
+  // Ready State Check
+  if (video.readyState < 2) return 0; // Not enough data
+
+  let percentLoaded = 0;
+  const duration = video.duration || 1;
+
+  // Check buffered ranges
+  for (let i = 0; i < video.buffered.length; i++) {
+    const start = video.buffered.start(i);
+    const end = video.buffered.end(i);
+
+    // Simple logic: If we have > 90% of duration buffered anywhere, good enough?
+    // Or specific range from 0? Let's check total buffered duration.
+    // Actually, reliable "Can Play" usually means we have a chunk at the start.
+    // Let's rely on browser 'canplaythrough' event logic mostly,
+    // but explicit buffering check is safer for custom progress bars.
+
+    // We'll trust the END of the last buffer for simple progress
+    if (end > duration * 0.9) {
+      percentLoaded = 100;
+      break;
+    }
+
+    // Accumulate coverage?
+    // Let's just use the end time of the buffer covering time=0
+    if (start <= 0.1) {
+      percentLoaded = Math.min(100, (end / duration) * 100);
+    }
+  }
+
+  // Fallback: readyState 4 means "HAVE_ENOUGH_DATA"
+  if (video.readyState === 4 && percentLoaded < 20) {
+    // Browser says yes, but buffer looks small. Trust browser if duration is short.
+    percentLoaded = Math.max(percentLoaded, 50);
+  }
+
+  return percentLoaded;
+}
+
+// Threshold for "Ready"
+// Fix for Chrome: It lazy-buffers, so waiting for 100% can hang.
+// We accept 50% buffer IF the browser says it has enough data (readyState 4).
+// A video served from the service worker cache is ready as soon as it can play.
+function isVideoReady(video, percent, cached = false) {
+  if (cached && video.readyState >= 3) return true;
+  const isReadyState4 = video.readyState === 4;
+  const isBufferedEnough = percent >= 50;
+  return (isBufferedEnough && isReadyState4) || percent >= 98;
+}
+
+// Shared instance
+export const assets = new AssetManager();
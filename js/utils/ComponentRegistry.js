@@ -0,0 +1,92 @@
+/**
+ * Component Registry
+ * Mounts DOM components declaratively per barba container.
+ * Each component class declares a static `selector`; when a container contains a
+ * matching element, a fresh instance is created and initialised exactly once,
+ * and destroyed again on unmount.
+ *
+ * Every instance gets `this.scope`, a child of the current page scope that
+ * calls destroy(). Cleanups added to it run on unmount or page leave.
+ * A component whose constructor or init() throws is reported, cleaned up and
+ * skipped; the others still mount.
+ */
+import { getPageScope } from './disposables.js';
+import { reportError } from './errorBoundary.js';
+
+export class ComponentRegistry {
+  constructor() {
+    this.definitions = [];
+    this.mounted = new Map(); // name -> instance
+    this.scopes = new Map(); // name -> DisposableScope
+  }
+
+  /**
+   * Register a component class.
+   * @param {Function} Component Class with init()/destroy() and a static `selector`
+   * @param {{name?: string, selector?: string, args?: (container: Element) => Array}} options
+   */
+  register(Component, options = {}) {
+    const name = options.name || Component.name;
+    const selector = options.selector || Component.selector;
+
+    if (!selector) {
+      console.warn(`[Components] ${name} has no selector, skipping.`);
+      return this;
+    }
+
+    this.definitions.push({
+      name,
+      Component,
+      selector,
+      args: options.args || (() => []),
+    });
+    return this;
+  }
+
+  mount(container = document, parentScope = getPageScope()) {
+    this.definitions.forEach((def) => {
+      // Guaranteed single init per page
+      if (this.mounted.has(def.name)) return;
+      if (!container.querySelector(def.selector)) return;
+
+      const scope = parentScope.child(def.name);
+      let instance;
+
+      try {
+        instance = new def.Component();
+        scope.add(() => {
+          if (typeof instance.destroy === 'function') instance.destroy();
+        });
+        instance.scope = scope;
+        instance.init(...def.args(container));
+      } catch (error) {
+        reportError(error, { label: def.name, phase: 'mount' });
+        scope.dispose(); // Undo whatever init() got through
+        return;
+      }
+      this.mounted.set(def.name, instance);
+      this.scopes.set(def.name, scope);
+    });
+
+    console.log('[Components] Mounted:', this.getMountedNames());
+  }
+
+  unmount() {
+    // Scope disposal runs destroy() (errors are caught and logged there)
+    this.scopes.forEach((scope) => scope.dispose());
+    this.scopes.clear();
+    this.mounted.clear();
+  }
+
+  get(name) {
+    return this.mounted.get(name) || null;
+  }
+
+  isMounted(name) {
+    return this.mounted.has(name);
+  }
+
+  getMountedNames() {
+    return Array.from(this.mounted.keys());
+  }
+}
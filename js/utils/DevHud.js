@@ -0,0 +1,142 @@
+/**
+ * Developer HUD
+ * Text overlay with quality, performance, renderer, scroll and component state.
+ * Toggled together with the Stats FPS panel (Shift+D or ?debug=1).
+ */
+export class DevHud {
+  /**
+   * @param {() => object} getState Called on every refresh; returns
+   *   { qualityManager, perfMonitor, scheduler, renderer, scene, sceneIdle,
+   *     namespace, scrollY, virtualScrollY, globalScrollOffset, components,
+   *     errors }
+   */
+  constructor(getState) {
+    this.getState = getState;
+    this.visible = false;
+    this.refreshInterval = 250; // ms, text updates don't need 60Hz
+    this.lastRefresh = 0;
+
+    this.dom = document.createElement('pre');
+    this.dom.className = 'dev-hud';
+    Object.assign(this.dom.style, {
+      position: 'fixed',
+      left: '8px',
+      top: '64px', // Below the Stats panel
+      zIndex: '2000',
+      margin: '0',
+      padding: '8px 10px',
+      background: 'rgba(0, 0, 0, 0.8)',
+      color: '#0f0',
+      font: '11px/1.4 monospace',
+      pointerEvents: 'none',
+      whiteSpace: 'pre',
+      display: 'none',
+    });
+    document.body.appendChild(this.dom);
+  }
+
+  show() {
+    this.visible = true;
+    this.dom.style.display = 'block';
+    this.refresh();
+  }
+
+  hide() {
+    this.visible = false;
+    this.dom.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+    return this.visible;
+  }
+
+  // Call once per frame; throttled internally
+  update() {
+    if (!this.visible) return;
+    const now = performance.now();
+    if (now - this.lastRefresh < this.refreshInterval) return;
+    this.lastRefresh = now;
+    this.refresh();
+  }
+
+  refresh() {
+    const s = this.getState();
+    const lines = [];
+
+    const qm = s.qualityManager;
+    if (qm) {
+      const p = qm.getProfile();
+      lines.push(`QUALITY    ${qm.tier}${qm.isLocked ? ' (locked)' : ''}`);
+      lines.push(
+        `           grass ${p.grassCount} · wind ${p.windResolution} · dpr ${p.maxDPR} · clump ${p.clumpSize}/${p.clumpSpread}`,
+      );
+      lines.push(
+        `           grass ${p.enableGrass ? 'on' : 'off'} · dynLight ${p.useDynamicLight ? 'on' : 'off'}`,
+      );
+    }
+
+    const pm = s.perfMonitor;
+    if (pm) {
+      const fps = pm.avgInterval > 0 ? 1000 / pm.avgInterval : 0;
+      lines.push(
+        `PERF       interval ${fmt(pm.avgInterval)}ms (${fmt(fps, 0)} fps) · cpu ${fmt(pm.avgFrameTime)}ms`,
+      );
+      lines.push(
+        `           gpu-bound ${pm.isGPUBound ? 'yes' : 'no'} · cooldown ${fmt(Math.max(0, pm.cooldown), 0)}ms${pm.isBenchmarking ? ' · BENCHMARKING' : ''}`,
+      );
+
+      const b = pm.benchmarkResult;
+      if (b) {
+        lines.push(
+          b.median === null
+            ? `BENCHMARK  n=${b.samples} (too few) -> ${b.tier}`
+            : `BENCHMARK  median ${fmt(b.median)}ms (${fmt(b.medianFPS, 0)} fps) · p90 ${fmt(b.p90)}ms · n=${b.samples} · cap ${b.maxTier} -> ${b.tier}`,
+        );
+      } else {
+        lines.push('BENCHMARK  pending');
+      }
+    }
+
+    const sc = s.scheduler;
+    if (sc) {
+      const f = sc.stats;
+      lines.push(
+        `FRAME      ${fmt(f.frameMs)}ms · skipped ${f.skipped} · overruns ${f.overruns}${f.pressure ? ' · PRESSURE' : ''}`,
+      );
+    }
+
+    const info = s.renderer && s.renderer.info;
+    if (info) {
+      lines.push(
+        `RENDERER   calls ${info.render.calls} · tris ${info.render.triangles} · geo ${info.memory.geometries} · tex ${info.memory.textures} · programs ${info.programs ? info.programs.length : 0}`,
+      );
+    }
+
+    lines.push(
+      `SCENE      ${s.scene}${s.sceneIdle ? ' (idle)' : ''} · route ${s.namespace || '-'}`,
+    );
+    lines.push(
+      `SCROLL     local ${fmt(s.scrollY, 0)} · virtual ${fmt(s.virtualScrollY, 0)} · offset ${fmt(s.globalScrollOffset, 0)}`,
+    );
+    lines.push(
+      `COMPONENTS ${s.components && s.components.length ? s.components.join(', ') : '-'}`,
+    );
+    if (s.errors && s.errors.length) {
+      lines.push(`ERRORS     ${s.errors.join(', ')}`);
+    }
+
+    this.dom.textContent = lines.join('\n');
+  }
+
+  dispose() {
+    if (this.dom.parentNode) this.dom.parentNode.removeChild(this.dom);
+  }
+}
+
+function fmt(value, digits = 1) {
+  return typeof value === 'number' && isFinite(value)
+    ? value.toFixed(digits)
+    : '-';
+}
@@ -0,0 +1,124 @@
+/**
+ * Frame Scheduler
+ * One loop for the whole site, driven by the GSAP ticker so Lenis, GSAP tweens,
+ * ScrollTrigger and the WebGL scenes all advance on the same frame.
+ * Tasks run in fixed phases: input > scroll > simulation > render > dom,
+ * in registration order within a phase.
+ * - Priorities: 'critical' and 'normal' always run; 'low' is skipped while
+ *   `isUnderPressure()` says frames are running long
+ * - Budgets: a task that takes longer than its `budget` (ms) is counted as an
+ *   overrun; an over-budget 'low' task also sits out the next frame
+ */
+import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+
+export const FramePhases = ['input', 'scroll', 'simulation', 'render', 'dom'];
+
+export class FrameScheduler {
+  /**
+   * @param {{isUnderPressure?: () => boolean}} options
+   */
+  constructor({ isUnderPressure = () => false } = {}) {
+    this.isUnderPressure = isUnderPressure;
+    this.phases = new Map(FramePhases.map((phase) => [phase, []]));
+    this.running = false;
+    this.boundTick = this.tick.bind(this);
+
+    // Last frame, for the DevHud
+    this.stats = { frameMs: 0, skipped: 0, overruns: 0, pressure: false };
+  }
+
+  /**
+   * @param {string} name Shown in warnings and getTaskStats()
+   * @param {(frame: {time: number, delta: number}) => void} fn
+   *   time in ms (rAF clock), delta in ms since the previous frame
+   * @param {{phase?: string, priority?: 'critical'|'normal'|'low', budget?: number}} options
+   * @returns {() => void} Remove the task
+   */
+  add(
+    name,
+    fn,
+    { phase = 'simulation', priority = 'normal', budget = Infinity } = {},
+  ) {
+    const tasks = this.phases.get(phase);
+    if (!tasks) throw new Error(`[Scheduler] Unknown phase "${phase}"`);
+
+    const task = {
+      name,
+      fn,
+      priority,
+      budget,
+      lastMs: 0,
+      overruns: 0,
+      skipNext: false,
+    };
+    tasks.push(task);
+    return () => {
+      const index = tasks.indexOf(task);
+      if (index !== -1) tasks.splice(index, 1);
+    };
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    // Lenis smooths scroll itself; GSAP's lag smoothing would fight it
+    gsap.ticker.lagSmoothing(0);
+    gsap.ticker.add(this.boundTick);
+  }
+
+  stop() {
+    this.running = false;
+    gsap.ticker.remove(this.boundTick);
+  }
+
+  // GSAP ticker callback: time in seconds, deltaTime in ms
+  tick(time, deltaTime) {
+    const frameStart = performance.now();
+    const frame = { time: time * 1000, delta: deltaTime };
+    const pressure = this.isUnderPressure();
+    let skipped = 0;
+    let overruns = 0;
+
+    this.phases.forEach((tasks) => {
+      // Copy: a task may add/remove tasks while running
+      tasks.slice().forEach((task) => {
+        if (task.priority === 'low' && (pressure || task.skipNext)) {
+          task.skipNext = false;
+          skipped++;
+          return;
+        }
+
+        const start = performance.now();
+        try {
+          task.fn(frame);
+        } catch (err) {
+          console.error(`[Scheduler] Task "${task.name}" failed:`, err);
+        }
+        task.lastMs = performance.now() - start;
+
+        if (task.lastMs > task.budget) {
+          task.overruns++;
+          overruns++;
+          if (task.priority === 'low') task.skipNext = true;
+        }
+      });
+    });
+
+    this.stats = {
+      frameMs: performance.now() - frameStart,
+      skipped,
+      overruns,
+      pressure,
+    };
+  }
+
+  getTaskStats() {
+    const stats = [];
+    this.phases.forEach((tasks, phase) => {
+      tasks.forEach(({ name, priority, budget, lastMs, overruns }) => {
+        stats.push({ phase, name, priority, budget, lastMs, overruns });
+      });
+    });
+    return stats;
+  }
+}
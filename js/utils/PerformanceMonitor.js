@@ -20,6 +20,9 @@ export class PerformanceMonitor {
     this.consecutiveGoodFrames = 0;
     this.cooldown = 0; // Time to wait after a quality change
 
+    // Last benchmark summary (null until endBenchmark runs)
+    this.benchmarkResult = null;
+
     this.isHidden = false;
     document.addEventListener('visibilitychange', () => {
       this.isHidden = document.hidden;
@@ -60,6 +63,16 @@ export class PerformanceMonitor {
     this.analyze(interval, cpuTime);
   }
 
+  // GPU is the bottleneck when real frame time is well above CPU time
+  get isGPUBound() {
+    return this.avgInterval - this.avgFrameTime > 8.0;
+  }
+
+  // Frames running well over budget: the scheduler drops 'low' priority work
+  get isUnderPressure() {
+    return !this.isBenchmarking && this.avgInterval > this.frameBudget * 1.5;
+  }
+
   // Legacy support for simple update(dt) if needed, but we prefer explicit begin/end
   update(dt) {
     // If user hasn't switched to begin/end, we just use interval
@@ -93,7 +106,7 @@ export class PerformanceMonitor {
     // 2. Is it GPU bound?
     // If CPU time is low (e.g. 5ms) but Interval is high, GPU is the bottleneck.
     // Use smoothed values for stability in reactive logic
-    const isGPUBound = this.avgInterval - this.avgFrameTime > 8.0;
+    const isGPUBound = this.isGPUBound;
 
     if (isLagging) {
       this.consecutiveBadFrames++;
@@ -164,6 +177,14 @@ export class PerformanceMonitor {
           sampleCount +
           '), defaulting to MEDIUM.'
       );
+      this.benchmarkResult = {
+        samples: sampleCount,
+        median: null,
+        p90: null,
+        medianFPS: null,
+        maxTier: null,
+        tier: 'MEDIUM',
+      };
       this.qm.setTier('MEDIUM');
       return;
     }
@@ -239,6 +260,14 @@ export class PerformanceMonitor {
     }
 
     console.log(`[Performance] Final Benchmark Tier: ${targetTier}`);
+    this.benchmarkResult = {
+      samples: sampleCount,
+      median,
+      p90,
+      medianFPS,
+      maxTier,
+      tier: targetTier,
+    };
     this.qm.setTier(targetTier);
   }
 }
@@ -74,6 +74,7 @@ export class QualityManager {
     constructor() {
         this.currentTier = 'HIGH'; // Default start
         this.listeners = new Set();
+        this.isLocked = false; // Pinned tier (e.g. ?quality=LOW), ignores benchmark & adaptive changes
 
         // Auto-detect start tier
         this.detectHardware();
@@ -104,6 +105,10 @@ export class QualityManager {
             console.warn(`[QualityManager] Invalid tier: ${tierName}`);
             return;
         }
+        if (this.isLocked) {
+            console.log(`[QualityManager] Tier locked at ${this.currentTier}, ignoring ${tierName}`);
+            return;
+        }
         if (this.currentTier === tierName) return;
 
         this.currentTier = tierName;
@@ -114,6 +119,19 @@ export class QualityManager {
         this.listeners.forEach(callback => callback(profile));
     }
 
+    // Force a tier and keep it for the session
+    lockTier(tierName) {
+        if (!QualityProfiles[tierName]) {
+            console.warn(`[QualityManager] Invalid tier: ${tierName}`);
+            return false;
+        }
+        this.isLocked = false;
+        this.setTier(tierName);
+        this.isLocked = true;
+        console.log(`[QualityManager] Tier locked: ${tierName}`);
+        return true;
+    }
+
     getProfile() {
         return QualityProfiles[this.currentTier];
     }
@@ -128,6 +146,8 @@ export class QualityManager {
 
     // Directions: -1 (Down), 1 (Up)
     adjustQuality(direction) {
+        if (this.isLocked) return false;
+
         const tiers = ['POTATO', 'LOW', 'MEDIUM', 'HIGH', 'ULTRA'];
         const currentIndex = tiers.indexOf(this.currentTier);
 
@@ -0,0 +1,245 @@
+/**
+ * Tweak Panel (dev only: ?debug=1 on one of Config.System.devHosts)
+ * lil-gui panel bound to Config. Edits mutate Config in place (so scene rebuilds
+ * keep them) and are pushed live into the running scenes. Tuned values can be
+ * exported as JSON or as settings.js blocks to merge by hand (the file's
+ * comments and untouched sections stay as they are).
+ */
+import { Config } from '../settings.js';
+
+// Loaded on first open so production visitors never download it
+const LIL_GUI_URL = 'https://unpkg.com/lil-gui@0.19.2/dist/lil-gui.esm.min.js';
+
+// [Config.Grass.uniforms key, min, max, step] -> GrassScene.uniforms
+const GRASS_UNIFORMS = [
+  ['turbulenceAmplitude', 0, 2, 0.01],
+  ['turbulenceFrequency', 0, 1, 0.01],
+  ['windStrength', 0, 3, 0.01],
+  ['glowThreshold', 0, 0.2, 0.001],
+  ['glowBoost', 0, 1, 0.01],
+];
+
+// [Config.Grass.uniforms key, min, max, step] -> WindField material uniforms
+const WIND_PARAMS = [
+  ['diffusion', 0, 1, 0.01],
+  ['advection', 0, 3, 0.01],
+  ['injectionRadius', 0.005, 0.2, 0.001],
+  ['injectionStrength', 0, 20, 0.1],
+  ['injectionStrengthMax', 0, 5, 0.01],
+];
+
+// [Config.Mountain key, min, max, step, apply(snowUniforms, value)]
+const SNOW_PARAMS = [
+  ['snowFallSpeed', 0, 1, 0.01, (u, v) => (u.fallSpeed.value = v)],
+  ['snowSway', 0, 0.01, 0.0001, (u, v) => (u.sway.value = v)],
+  ['snowWindX', -0.5, 0.5, 0.01, (u, v) => (u.wind.value.x = v)],
+  ['snowWindZ', -0.5, 0.5, 0.01, (u, v) => (u.wind.value.z = v)],
+];
+
+export class TweakPanel {
+  /**
+   * @param {() => {grassScene?: object, mountainScene?: object}} getTargets
+   *   Scenes are created after load, so they are resolved on every change.
+   */
+  constructor(getTargets) {
+    this.getTargets = getTargets;
+    this.gui = null;
+    this.loading = null;
+    this.visible = false;
+  }
+
+  async toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      await this.show();
+    }
+    return this.visible;
+  }
+
+  async show() {
+    if (!this.gui) {
+      this.loading = this.loading || this.build();
+      await this.loading;
+    }
+    this.gui.show();
+    this.visible = true;
+  }
+
+  hide() {
+    if (this.gui) this.gui.hide();
+    this.visible = false;
+  }
+
+  async build() {
+    const { GUI } = await import(LIL_GUI_URL);
+    const gui = new GUI({ title: 'Config Tweaks', width: 320 });
+    gui.domElement.style.zIndex = '2001';
+
+    const grassUniforms = Config.Grass.uniforms;
+
+    const grass = gui.addFolder('Grass');
+    GRASS_UNIFORMS.forEach(([key, min, max, step]) => {
+      grass.add(grassUniforms, key, min, max, step).onChange((v) => {
+        const { grassScene } = this.getTargets();
+        if (grassScene && grassScene.uniforms[key]) {
+          grassScene.uniforms[key].value = v;
+          grassScene.markDirty(); // Redraw even while idle
+        }
+      });
+    });
+
+    const wind = gui.addFolder('Wind Field');
+    WIND_PARAMS.forEach(([key, min, max, step]) => {
+      wind.add(grassUniforms, key, min, max, step).onChange((v) => {
+        const { grassScene } = this.getTargets();
+        const field = grassScene && grassScene.windField;
+        if (field && field.material.uniforms[key]) {
+          field.material.uniforms[key].value = v;
+          field.params[key] = v;
+        }
+      });
+    });
+
+    const snow = gui.addFolder('Mountain Snow');
+    SNOW_PARAMS.forEach(([key, min, max, step, apply]) => {
+      snow.add(Config.Mountain, key, min, max, step).onChange((v) => {
+        const { mountainScene } = this.getTargets();
+        if (mountainScene && mountainScene.snowUniforms) {
+          apply(mountainScene.snowUniforms, v);
+        }
+      });
+    });
+
+    const cameras = gui.addFolder('Cameras');
+    const applyMountainFov = () => {
+      const { mountainScene } = this.getTargets();
+      // resize() re-reads the FOV for the current breakpoint
+      if (mountainScene) {
+        mountainScene.resize(window.innerWidth, window.innerHeight);
+      }
+    };
+    cameras
+      .add(Config.Mountain, 'cameraFovDesktop', 10, 90, 0.5)
+      .name('mountain fov (desktop)')
+      .onChange(applyMountainFov);
+    cameras
+      .add(Config.Mountain, 'cameraFovMobile', 10, 90, 0.5)
+      .name('mountain fov (mobile)')
+      .onChange(applyMountainFov);
+    cameras
+      .add(Config.Grass.camera, 'fov', 10, 120, 0.5)
+      .name('grass fov')
+      .onChange((v) => {
+        const { grassScene } = this.getTargets();
+        if (grassScene) {
+          grassScene.camera.fov = v;
+          grassScene.camera.updateProjectionMatrix();
+          grassScene.markDirty();
+        }
+      });
+
+    gui
+      .addFolder('Render')
+      .add(Config.RenderOnDemand, 'enabled')
+      .name('render on demand');
+
+    const actions = {
+      copyJSON: () => this.copy(JSON.stringify(this.getTunedValues(), null, 2)),
+      copySettings: () => this.copy(serializeSettings(this.getTunedValues())),
+      reset: () => gui.reset(),
+    };
+    const exportFolder = gui.addFolder('Export');
+    exportFolder.add(actions, 'copyJSON').name('Copy tuned values (JSON)');
+    exportFolder
+      .add(actions, 'copySettings')
+      .name('Copy tuned values (settings.js)');
+    exportFolder.add(actions, 'reset').name('Reset to loaded values');
+
+    this.gui = gui;
+    console.log('[TweakPanel] Ready');
+  }
+
+  // Only the values this panel edits, shaped like Config
+  getTunedValues() {
+    const pick = (source, keys) =>
+      keys.reduce((out, key) => ({ ...out, [key]: source[key] }), {});
+
+    return {
+      Mountain: pick(Config.Mountain, [
+        ...SNOW_PARAMS.map(([key]) => key),
+        'cameraFovDesktop',
+        'cameraFovMobile',
+      ]),
+      Grass: {
+        camera: { fov: Config.Grass.camera.fov },
+        uniforms: pick(Config.Grass.uniforms, [
+          ...GRASS_UNIFORMS.map(([key]) => key),
+          ...WIND_PARAMS.map(([key]) => key),
+        ]),
+      },
+    };
+  }
+
+  copy(text) {
+    if (!navigator.clipboard) {
+      console.warn('[TweakPanel] Clipboard not available');
+      return;
+    }
+    navigator.clipboard
+      .writeText(text)
+      .then(() => console.log('[TweakPanel] Copied to clipboard'))
+      .catch((err) => console.warn('[TweakPanel] Clipboard failed:', err));
+  }
+
+  dispose() {
+    if (this.gui) this.gui.destroy();
+    this.gui = null;
+    this.visible = false;
+  }
+}
+
+// === SETTINGS.JS EXPORT ===
+
+/**
+ * Config sections as settings.js source, e.g. from getTunedValues().
+ * Only the given keys are written, ready to merge into the matching blocks.
+ */
+export function serializeSettings(sections) {
+  const blocks = Object.entries(sections).map(
+    ([key, value]) => `  ${formatKey(key)}: ${toSource(value, '  ')},`,
+  );
+  return `${blocks.join('\n')}\n`;
+}
+
+// Object literal in the settings.js style: bare keys, single quotes, trailing commas
+function toSource(value, indent) {
+  const inner = indent + '  ';
+
+  if (Array.isArray(value)) {
+    if (value.every((v) => v === null || typeof v !== 'object')) {
+      return `[${value.map((v) => toSource(v, inner)).join(', ')}]`;
+    }
+    const items = value.map((v) => `${inner}${toSource(v, inner)},`);
+    return `[\n${items.join('\n')}\n${indent}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const lines = entries.map(
+      ([key, v]) => `${inner}${formatKey(key)}: ${toSource(v, inner)},`,
+    );
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  return String(value);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+}
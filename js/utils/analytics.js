@@ -0,0 +1,133 @@
+/**
+ * Analytics
+ * Provider-agnostic tracking fed by the app event bus: page views, the entry
+ * choice, the benchmarked tier, FlickCards projects, testimonial views and
+ * case-study section reach. Components only emit bus events; this module
+ * decides what gets reported.
+ *
+ * A provider is `{ name, send(event) }`, where event is
+ * `{ name, props, path, timestamp }`. Register more with analytics.use().
+ */
+import { Config } from '../settings.js';
+import { events, AppEvents } from './events.js';
+
+export const consoleProvider = {
+  name: 'console',
+  send(event) {
+    console.log(`[Analytics] ${event.name}`, event.props);
+  },
+};
+
+export const noopProvider = {
+  name: 'noop',
+  send() {},
+};
+
+// Stand-in for a real collector: POSTs each event as JSON to `endpoint`
+export function createEndpointProvider(endpoint) {
+  return {
+    name: 'endpoint',
+    send(event) {
+      const body = JSON.stringify(event);
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+      fetch(endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+      }).catch(() => {});
+    },
+  };
+}
+
+const BUILT_IN = {
+  console: () => consoleProvider,
+  noop: () => noopProvider,
+  endpoint: (config) => createEndpointProvider(config.endpoint),
+};
+
+class Analytics {
+  constructor() {
+    this.providers = new Set();
+    this.offs = [];
+    this.seenTestimonials = new Set(); // Slide indexes viewed on this page
+  }
+
+  /**
+   * @param {{name: string, send: (event: object) => void}} provider
+   * @returns {() => void} Unregister
+   */
+  use(provider) {
+    this.providers.add(provider);
+    return () => this.providers.delete(provider);
+  }
+
+  track(name, props = {}) {
+    const event = {
+      name,
+      props,
+      path: window.location.pathname,
+      timestamp: Date.now(),
+    };
+    this.providers.forEach((provider) => {
+      try {
+        provider.send(event);
+      } catch (err) {
+        console.warn(`[Analytics] Provider "${provider.name}" failed:`, err);
+      }
+    });
+  }
+
+  // Registers the configured providers and starts listening to the bus
+  init(config = Config.Analytics) {
+    if (!config.enabled || this.offs.length) return;
+
+    config.providers.forEach((name) => {
+      const create = BUILT_IN[name];
+      if (create) this.use(create(config));
+      else console.warn(`[Analytics] Unknown provider "${name}"`);
+    });
+
+    const on = (type, handler) => this.offs.push(events.on(type, handler));
+
+    on(AppEvents.ROUTE_AFTER, ({ namespace }) => this.trackPageView(namespace));
+    // Pages without the entry gate made no audio choice
+    on(AppEvents.LOADER_ENTERED, ({ audio, auto, gated }) => {
+      if (gated) this.track('entry', { audio, auto: !!auto });
+    });
+    on(AppEvents.BENCHMARK_DONE, ({ tier, benchmarkTier, medianFPS }) =>
+      this.track('quality_benchmark', { tier, benchmarkTier, medianFPS }),
+    );
+    on(AppEvents.PROJECT_CHANGE, ({ index, project }) =>
+      this.track('project_view', { index, project }),
+    );
+    on(AppEvents.TESTIMONIAL_VIEW, ({ index }) => {
+      if (this.seenTestimonials.has(index)) return;
+      this.seenTestimonials.add(index);
+      this.track('testimonial_view', { index });
+    });
+    on(AppEvents.SECTION_REACH, ({ index, name }) =>
+      this.track('case_study_section', { index, name }),
+    );
+
+    // The first page never goes through a barba transition
+    const container = document.querySelector('[data-barba="container"]');
+    this.trackPageView(container ? container.dataset.namespace : null);
+  }
+
+  trackPageView(namespace) {
+    this.seenTestimonials.clear();
+    this.track('page_view', {
+      namespace: namespace || null,
+      title: document.title,
+    });
+  }
+
+  destroy() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+    this.providers.clear();
+  }
+}
+
+export const analytics = new Analytics();
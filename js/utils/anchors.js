@@ -0,0 +1,44 @@
+/**
+ * Anchor Scrolling
+ * Resolves URL fragments to elements and scrolls to them through Lenis,
+ * leaving room for the fixed navigation.
+ */
+import { Config } from '../settings.js';
+
+export function getAnchorOffset() {
+  const nav = document.querySelector(Config.System.navSelector);
+  if (!nav) return 0;
+  return nav.getBoundingClientRect().bottom + Config.System.anchorGap;
+}
+
+export function getHashTarget(hash, root = document) {
+  if (!hash) return null;
+  const id = decodeURIComponent(hash.replace(/^#/, ''));
+  if (!id) return null;
+  return root.querySelector(`#${CSS.escape(id)}`);
+}
+
+/**
+ * Scroll to the element referenced by `hash`.
+ * @returns {boolean} Whether a target was found
+ */
+export function scrollToHash(lenis, hash, { immediate = false } = {}) {
+  const target = getHashTarget(hash);
+  if (!target) return false;
+
+  const offset = -getAnchorOffset();
+  if (lenis) {
+    lenis.scrollTo(target, { offset, immediate });
+  } else {
+    const top = target.getBoundingClientRect().top + window.scrollY + offset;
+    window.scrollTo({ top, behavior: immediate ? 'auto' : 'smooth' });
+  }
+  return true;
+}
+
+// Update the fragment without a navigation (keeps barba's history state)
+export function setHash(hash) {
+  const url = new URL(window.location.href);
+  url.hash = hash;
+  history.replaceState(history.state, '', url.href);
+}
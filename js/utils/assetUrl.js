@@ -0,0 +1,41 @@
+/**
+ * Asset URLs
+ * Every asset path in Config is relative to one asset base, so the site can
+ * load from the GitHub Pages origin, a CDN mirror or a local ./assets/ folder.
+ * The base is picked in this order:
+ *   1. ?assetBase=./assets/ (QA override, same-origin only, see queryOverrides.js)
+ *   2. <meta name="asset-base" content="https://cdn.example.com/assets/">
+ *   3. Config.Assets.baseUrl
+ */
+import { Config } from '../settings.js';
+
+let override = null;
+
+// Session-wide override (set once at boot from ?assetBase)
+export function setAssetBase(base) {
+  override = base || null;
+  console.log(`[Assets] Base URL: ${getAssetBase()}`);
+}
+
+// Absolute base URL, always ending in "/"
+export function getAssetBase() {
+  const meta = document.querySelector('meta[name="asset-base"]');
+  const base =
+    override || (meta && meta.content) || Config.Assets.baseUrl || './';
+  return withTrailingSlash(new URL(base, document.baseURI).href);
+}
+
+/**
+ * Resolve an asset path against the asset base.
+ * Absolute URLs (https:, blob:, data:, //host) pass through unchanged.
+ * @param {string} path e.g. 'video/showreel-v2.mp4'
+ * @returns {string}
+ */
+export function assetUrl(path) {
+  if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(path)) return path;
+  return new URL(path.replace(/^\.?\//, ''), getAssetBase()).href;
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
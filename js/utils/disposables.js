@@ -1,31 +1,101 @@
 /**
- * Global Disposable System
- * Allows components to register cleanup functions that run automatically on page transitions.
+ * Disposable Scopes
+ * Nested cleanup lifetimes: session (whole visit) > page (one barba container)
+ * > component (one mounted instance). Disposing a scope disposes its children
+ * first, then runs its own cleanups in reverse registration order.
  */
-export function initDisposables() {
-  window._disposables = [];
+export class DisposableScope {
+  constructor(name, parent = null) {
+    this.name = parent ? `${parent.name}/${name}` : name;
+    this.parent = parent;
+    this.cleanups = [];
+    this.children = new Set();
+    this.disposed = false;
+  }
+
+  /**
+   * Register a cleanup function. Returns it so callers can keep a handle.
+   * Adding to an already disposed scope runs the cleanup immediately.
+   */
+  add(callback) {
+    if (typeof callback !== 'function') return callback;
+    if (this.disposed) {
+      console.warn(`[Disposables] Scope "${this.name}" already disposed`);
+      runCleanup(this, callback);
+      return callback;
+    }
+    this.cleanups.push(callback);
+    return callback;
+  }
 
-  window.addDisposable = (callback) => {
-    if (typeof callback === 'function') {
-      window._disposables.push(callback);
+  child(name) {
+    const scope = new DisposableScope(name, this);
+    if (this.disposed) {
+      scope.dispose();
+    } else {
+      this.children.add(scope);
     }
-  };
-
-  window.cleanupOnLeave = () => {
-    if (window._disposables && window._disposables.length) {
-      console.log(
-        `[Disposables] Cleaning up ${window._disposables.length} items...`
-      );
-      window._disposables.forEach((fn) => {
-        try {
-          fn();
-        } catch (err) {
-          console.warn('[Disposables] Error during cleanup:', err);
-        }
-      });
+    return scope;
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    Array.from(this.children)
+      .reverse()
+      .forEach((child) => child.dispose());
+    this.children.clear();
+
+    const count = this.cleanups.length;
+    while (this.cleanups.length) {
+      runCleanup(this, this.cleanups.pop());
     }
-    window._disposables = [];
-  };
+    if (count) {
+      console.log(`[Disposables] ${this.name}: cleaned up ${count} items`);
+    }
+
+    if (this.parent) this.parent.children.delete(this);
+  }
+
+  get size() {
+    return this.cleanups.length;
+  }
+}
+
+function runCleanup(scope, fn) {
+  try {
+    fn();
+  } catch (err) {
+    console.warn(`[Disposables] Error during cleanup (${scope.name}):`, err);
+  }
+}
+
+// Lives for the whole visit
+export const sessionScope = new DisposableScope('session');
+
+// Replaced on every page transition
+let pageScope = sessionScope.child('page');
+
+export function getPageScope() {
+  return pageScope;
+}
+
+// Disposes the outgoing page and opens a fresh scope for the next one
+export function disposePageScope() {
+  pageScope.dispose();
+  pageScope = sessionScope.child('page');
+  return pageScope;
+}
+
+/**
+ * Global shims for code that doesn't import this module:
+ * window.addDisposable() registers on the current page scope,
+ * window.cleanupOnLeave() ends it.
+ */
+export function initDisposables() {
+  window.addDisposable = (callback) => pageScope.add(callback);
+  window.cleanupOnLeave = () => disposePageScope();
 
-  console.log('[Utils] Disposable system initialized');
+  console.log('[Utils] Disposable scopes initialized');
 }
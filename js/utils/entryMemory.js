@@ -0,0 +1,54 @@
+/**
+ * Entry Memory
+ * Remembers a returning visitor's loader choice (audio on/off) and the
+ * benchmarked quality tier, so the next visit can auto-enter without the
+ * "Click to Enter" gate. Entries older than Config.Entry.maxAgeDays are ignored.
+ */
+import { Config } from '../settings.js';
+import { readStoredJSON, writeStored } from './storage.js';
+
+const STORAGE_KEY = 'bunqlabs:entry';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EntryMemory {
+  /**
+   * @returns {{audio: boolean, tier: string|null, savedAt: number}|null}
+   */
+  load() {
+    if (!Config.Entry.remember) return null;
+    const entry = read();
+    if (!entry || typeof entry.audio !== 'boolean') return null;
+    if (Date.now() - entry.savedAt > Config.Entry.maxAgeDays * DAY_MS) {
+      this.clear();
+      return null;
+    }
+    return entry;
+  }
+
+  save({ audio, tier = null }) {
+    if (!Config.Entry.remember) return;
+    write({ audio: !!audio, tier, savedAt: Date.now() });
+  }
+
+  // Keep the stored choice in sync when the visitor flips the sound toggle
+  update(changes) {
+    const entry = read();
+    if (entry) write({ ...entry, ...changes });
+  }
+
+  clear() {
+    writeStored(STORAGE_KEY, null);
+    console.log('[Entry] Remembered choice cleared');
+  }
+}
+
+function read() {
+  return readStoredJSON(STORAGE_KEY);
+}
+
+// Storage disabled (private mode): dropped, every visit shows the gate
+function write(entry) {
+  writeStored(STORAGE_KEY, JSON.stringify(entry));
+}
+
+export const entryMemory = new EntryMemory();
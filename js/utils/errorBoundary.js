@@ -0,0 +1,45 @@
+/**
+ * Error Boundary
+ * Runs one init step in isolation: a failure is logged, passed to the
+ * registered reporters and skipped, so the rest of the page still boots.
+ */
+const reporters = new Set();
+
+/**
+ * Register a reporter hook (e.g. an error tracker).
+ * @param {(error: Error, info: {label: string, phase: string}) => void} reporter
+ * @returns {() => void} Unregister
+ */
+export function onError(reporter) {
+  reporters.add(reporter);
+  return () => reporters.delete(reporter);
+}
+
+export function reportError(error, info = {}) {
+  const label = info.label || 'unknown';
+  const phase = info.phase || 'init';
+  console.error(`[ErrorBoundary] ${label} failed during ${phase}:`, error);
+
+  reporters.forEach((reporter) => {
+    try {
+      reporter(error, { ...info, label, phase });
+    } catch (err) {
+      console.warn('[ErrorBoundary] Reporter failed:', err);
+    }
+  });
+}
+
+/**
+ * Run `fn`, returning its result, or `fallback` if it throws.
+ * @param {string} label Component or scene name
+ * @param {() => *} fn
+ * @param {{phase?: string, fallback?: *}} options
+ */
+export function safely(label, fn, { phase = 'init', fallback = null } = {}) {
+  try {
+    return fn();
+  } catch (error) {
+    reportError(error, { label, phase });
+    return fallback;
+  }
+}
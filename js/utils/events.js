@@ -0,0 +1,116 @@
+/**
+ * Application Event Bus
+ * Small typed pub/sub so components can react to app state (routes, quality,
+ * scroll, audio, loader) without main.js wiring each case.
+ *
+ * Payloads per event:
+ * @typedef {Object} AppEventMap
+ * @property {{from: string|null, to: string|null, trigger: *}} 'route:leave'
+ *   Outgoing page is about to be hidden; its components are still mounted
+ * @property {{namespace: string|null, container: Element, route: object}} 'route:enter'
+ *   Incoming container is in the DOM (still hidden)
+ * @property {{namespace: string|null}} 'route:after'
+ *   Transition finished, page is visible and interactive
+ * @property {{tier: string, profile: object}} 'quality:change'
+ * @property {{scroll: number, virtualScroll: number, velocity: number, direction: number, progress: number}} 'scroll'
+ *   Mirrors scrollService (utils/scrollService.js)
+ * @property {{muted: boolean}} 'audio:mute'
+ * @property {{audio: boolean, auto: boolean, gated: boolean}} 'loader:entered'
+ *   auto: no click (returning visitor, ?skipLoader or a page without the gate)
+ *   gated: an entry choice was made (click or returning-visitor auto-enter)
+ * @property {{tier: string, benchmarkTier: string, medianFPS: number|null}} 'quality:benchmark'
+ *   Pre-flight benchmark finished; tier is the one in use (?quality may lock
+ *   it), benchmarkTier the benchmark's own pick
+ * @property {{index: number, project: string|null}} 'project:change'
+ *   FlickCards brought a project to the front
+ * @property {{index: number}} 'testimonial:view'
+ *   TestimonialsSlider centered a slide
+ * @property {{index: number, name: string}} 'section:reach'
+ *   CaseStudyNavigation section became active for the first time on this page
+ */
+
+export const AppEvents = Object.freeze({
+  ROUTE_LEAVE: 'route:leave',
+  ROUTE_ENTER: 'route:enter',
+  ROUTE_AFTER: 'route:after',
+  QUALITY_CHANGE: 'quality:change',
+  SCROLL: 'scroll',
+  AUDIO_MUTE: 'audio:mute',
+  LOADER_ENTERED: 'loader:entered',
+  BENCHMARK_DONE: 'quality:benchmark',
+  PROJECT_CHANGE: 'project:change',
+  TESTIMONIAL_VIEW: 'testimonial:view',
+  SECTION_REACH: 'section:reach',
+});
+
+const KNOWN_EVENTS = new Set(Object.values(AppEvents));
+
+export class EventBus {
+  constructor() {
+    this.handlers = new Map(); // type -> Set<handler>
+    this.lastPayloads = new Map(); // type -> last emitted payload
+  }
+
+  /**
+   * @template {keyof AppEventMap} K
+   * @param {K} type
+   * @param {(payload: AppEventMap[K]) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  on(type, handler) {
+    if (!KNOWN_EVENTS.has(type)) {
+      console.warn(`[Events] Subscribing to unknown event "${type}"`);
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  once(type, handler) {
+    const off = this.on(type, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  off(type, handler) {
+    const set = this.handlers.get(type);
+    if (set) set.delete(handler);
+  }
+
+  /**
+   * @template {keyof AppEventMap} K
+   * @param {K} type
+   * @param {AppEventMap[K]} payload
+   */
+  emit(type, payload) {
+    if (!KNOWN_EVENTS.has(type)) {
+      console.warn(`[Events] Emitting unknown event "${type}"`);
+    }
+    this.lastPayloads.set(type, payload);
+
+    const set = this.handlers.get(type);
+    if (!set) return;
+
+    // Copy so handlers can unsubscribe while we iterate
+    Array.from(set).forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`[Events] Handler for "${type}" failed:`, err);
+      }
+    });
+  }
+
+  /**
+   * Last payload emitted for `type` (undefined if it never fired).
+   * Lets late subscribers check one-off state such as 'loader:entered'.
+   */
+  last(type) {
+    return this.lastPayloads.get(type);
+  }
+}
+
+// Shared application bus
+export const events = new EventBus();
@@ -0,0 +1,140 @@
+/**
+ * Internationalization
+ * Locale dictionaries (js/locales/*.js) for UI strings and page content.
+ * - Detection: ?lang=nl > stored choice > browser languages > Config.I18n.defaultLocale
+ * - DOM: `data-i18n="key"` sets the text, `data-i18n-attr="title:key,alt:key"`
+ *   sets attributes. Keys missing in a locale fall back to the default locale,
+ *   then to the element's original HTML text.
+ * - Pages are translated in place (there are no per-locale URLs), so barba
+ *   navigation keeps the chosen locale; main.js translates each new container.
+ * Subscribers get the current locale immediately and on every change.
+ */
+import { Config } from '../settings.js';
+import { en } from '../locales/en.js';
+import { nl } from '../locales/nl.js';
+import { readStored, writeStored } from './storage.js';
+
+const STORAGE_KEY = 'bunqlabs:locale';
+const DICTIONARIES = { en, nl };
+
+class I18n {
+  constructor(config = Config.I18n) {
+    this.config = config;
+    this.listeners = new Set();
+    this.locale = detectLocale(config);
+    document.documentElement.lang = this.locale;
+  }
+
+  get locales() {
+    return Object.keys(this.config.locales);
+  }
+
+  /**
+   * @param {string} key e.g. 'loader.progress'
+   * @param {Object<string, *>} vars Values for `{name}` placeholders
+   * @returns {string|null} null when no dictionary has the key
+   */
+  t(key, vars = {}) {
+    const value =
+      lookup(this.locale, key) ?? lookup(this.config.defaultLocale, key);
+    if (value == null) return null;
+    return value.replace(/\{(\w+)\}/g, (match, name) =>
+      name in vars ? String(vars[name]) : match,
+    );
+  }
+
+  setLocale(code) {
+    if (!this.config.locales[code] || code === this.locale) return;
+    this.locale = code;
+    writeStored(STORAGE_KEY, code);
+    document.documentElement.lang = code;
+    console.log(`[I18n] Locale: ${code}`);
+
+    this.translate(document);
+    this.listeners.forEach((callback) => callback(code));
+  }
+
+  // Cycles through the configured locales (nav switcher)
+  next() {
+    const codes = this.locales;
+    this.setLocale(codes[(codes.indexOf(this.locale) + 1) % codes.length]);
+    return this.locale;
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    // Immediate callback with current locale
+    callback(this.locale);
+
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Apply the current locale to `root` and everything inside it.
+   * Headings flagged `__i18nSplit` are skipped: their text lives in
+   * HeadingSplitText's word spans, which re-translates them after reverting.
+   * @param {ParentNode} root Document, barba container or a single element
+   */
+  translate(root = document) {
+    const select = (selector) => {
+      const found = Array.from(root.querySelectorAll(selector));
+      if (root.matches && root.matches(selector)) found.unshift(root);
+      return found;
+    };
+
+    select('[data-i18n]').forEach((el) => {
+      if (el.__i18nSplit) return;
+      if (el.__i18nSource === undefined) {
+        el.__i18nSource = el.textContent.trim();
+      }
+      setText(el, this.t(el.dataset.i18n) ?? el.__i18nSource);
+    });
+
+    select('[data-i18n-attr]').forEach((el) => {
+      el.dataset.i18nAttr.split(',').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((part) => part.trim());
+        const value = this.t(key);
+        if (attr && value != null) el.setAttribute(attr, value);
+      });
+    });
+  }
+}
+
+function lookup(locale, key) {
+  const dictionary = DICTIONARIES[locale];
+  return dictionary ? dictionary[key] : undefined;
+}
+
+// Keeps TextScrambler's cached text in sync (same as AudioManager.updateUI)
+function setText(el, text) {
+  if (el.textContent === text) return;
+  el.textContent = text;
+  if (typeof el.__baseText !== 'undefined') el.__baseText = text;
+  if (el.__widthLocked) {
+    el.__widthLocked = false;
+    el.style.width = '';
+  }
+}
+
+function detectLocale(config) {
+  const supported = (code) =>
+    code && config.locales[code.toLowerCase()] ? code.toLowerCase() : null;
+
+  const fromQuery = supported(
+    new URLSearchParams(window.location.search).get('lang'),
+  );
+  if (fromQuery) {
+    writeStored(STORAGE_KEY, fromQuery);
+    return fromQuery;
+  }
+
+  const stored = supported(readStored(STORAGE_KEY));
+  if (stored) return stored;
+
+  const browser = (navigator.languages || [navigator.language])
+    .map((lang) => supported((lang || '').split('-')[0]))
+    .find(Boolean);
+  return browser || config.defaultLocale;
+}
+
+export const i18n = new I18n();
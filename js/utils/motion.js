@@ -0,0 +1,65 @@
+/**
+ * Motion Policy
+ * Site-wide reduced-motion switch. Follows `prefers-reduced-motion` until the
+ * visitor picks a side with the toggle; that choice is remembered.
+ * Subscribers get the current state immediately and on every change.
+ */
+import { readStored, writeStored } from './storage.js';
+
+const STORAGE_KEY = 'bunqlabs:reduced-motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+class MotionPolicy {
+  constructor() {
+    this.listeners = new Set();
+    this.media = window.matchMedia ? window.matchMedia(QUERY) : null;
+    this.override = readOverride(); // true | false | null (follow the OS)
+
+    if (this.media) {
+      this.media.addEventListener('change', () => {
+        if (this.override === null) this.notify();
+      });
+    }
+  }
+
+  get reduced() {
+    if (this.override !== null) return this.override;
+    return this.media ? this.media.matches : false;
+  }
+
+  // null goes back to following the OS setting
+  setReduced(value) {
+    const before = this.reduced;
+    this.override = value === null ? null : !!value;
+    writeStored(STORAGE_KEY, this.override);
+    if (this.reduced !== before) this.notify();
+  }
+
+  toggle() {
+    this.setReduced(!this.reduced);
+    return this.reduced;
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    // Immediate callback with current state
+    callback(this.reduced);
+
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const reduced = this.reduced;
+    console.log(`[Motion] Reduced motion ${reduced ? 'on' : 'off'}`);
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+    this.listeners.forEach((callback) => callback(reduced));
+  }
+}
+
+function readOverride() {
+  const value = readStored(STORAGE_KEY);
+  return value === null ? null : value === 'true';
+}
+
+export const motion = new MotionPolicy();
+document.documentElement.classList.toggle('reduced-motion', motion.reduced);
@@ -2,6 +2,8 @@
  * Observer Hub
  * Centralizes IntersectionObservers to reduce memory overhead by reusing instances.
  */
+import { getPageScope } from './disposables.js';
+
 export function initObserverHub() {
   const observers = new Map();
 
@@ -13,7 +15,8 @@ export function initObserverHub() {
     });
   }
 
-  window.observeWith = (el, opts = {}, onIntersect) => {
+  // Unobserved when `scope` is disposed (the current page by default)
+  window.observeWith = (el, opts = {}, onIntersect, scope = getPageScope()) => {
     if (!el) return;
 
     // Defaults
@@ -42,12 +45,10 @@ export function initObserverHub() {
     observer.observe(el);
 
     // Auto-register cleanup
-    if (window.addDisposable) {
-      window.addDisposable(() => {
-        if (el && observer) observer.unobserve(el);
-        if (el) delete el._onIntersect;
-      });
-    }
+    scope.add(() => {
+      if (el && observer) observer.unobserve(el);
+      if (el) delete el._onIntersect;
+    });
 
     return observer;
   };
@@ -0,0 +1,51 @@
+/**
+ * Query Overrides
+ * QA switches read once at boot and kept for the whole session, e.g.
+ * ?quality=LOW&scene=grass&debug=1&skipLoader=1&muted=1&noWebGL=1
+ * &assetBase=./assets/
+ * assetBase is only honored for same-origin bases, so a shared link cannot
+ * point the site at another host; per-environment bases go through
+ * <meta name="asset-base"> instead.
+ */
+const SCENES = ['mountain', 'grass'];
+
+// "?debug", "?debug=1" and "?debug=true" all switch a flag on
+function readFlag(params, name) {
+  if (!params.has(name)) return false;
+  return ['', '1', 'true', 'yes'].includes(params.get(name).toLowerCase());
+}
+
+// Relative or same-origin base, null for anything that resolves elsewhere
+function sameOrigin(base) {
+  if (!base) return null;
+  try {
+    if (new URL(base, document.baseURI).origin === window.location.origin) {
+      return base;
+    }
+  } catch (err) {
+    // Not a URL
+  }
+  console.warn(`[Overrides] Ignoring cross-origin assetBase: ${base}`);
+  return null;
+}
+
+export function getQueryOverrides(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const quality = (params.get('quality') || '').toUpperCase();
+  const scene = (params.get('scene') || '').toLowerCase();
+
+  const overrides = {
+    quality: quality || null, // Validated by QualityManager.lockTier()
+    scene: SCENES.includes(scene) ? scene : null,
+    debug: readFlag(params, 'debug'),
+    skipLoader: readFlag(params, 'skipLoader'),
+    muted: readFlag(params, 'muted'),
+    noWebGL: readFlag(params, 'noWebGL'), // Force the fallback pipeline
+    assetBase: sameOrigin(params.get('assetBase')), // Load assets from a local copy
+  };
+
+  if (Object.values(overrides).some(Boolean)) {
+    console.log('[Overrides] Active:', overrides);
+  }
+  return overrides;
+}
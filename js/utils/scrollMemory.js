@@ -0,0 +1,52 @@
+/**
+ * Scroll Memory
+ * Remembers the Lenis scroll position per URL for the session,
+ * so back/forward navigations return users to where they left off.
+ */
+const STORAGE_KEY = 'bunqlabs:scroll-positions';
+const MAX_ENTRIES = 50;
+
+// Positions are per page, not per fragment
+function toKey(url) {
+  return String(url).split('#')[0];
+}
+
+function read() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+export function saveScrollPosition(url, y) {
+  const positions = read();
+  const key = toKey(url);
+
+  // Re-insert so the most recent entries survive pruning
+  delete positions[key];
+  positions[key] = Math.round(y);
+
+  const keys = Object.keys(positions);
+  if (keys.length > MAX_ENTRIES) {
+    keys
+      .slice(0, keys.length - MAX_ENTRIES)
+      .forEach((k) => delete positions[k]);
+  }
+
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+  } catch (err) {
+    // Storage full or disabled (private mode): restoration just won't happen
+  }
+}
+
+export function getScrollPosition(url) {
+  const y = read()[toKey(url)];
+  return typeof y === 'number' ? y : null;
+}
+
+// Barba sets the trigger to 'back' / 'forward' (or 'popstate') for history navigations
+export function isHistoryNavigation(data) {
+  return ['back', 'forward', 'popstate'].includes(data && data.trigger);
+}
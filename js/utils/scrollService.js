@@ -0,0 +1,111 @@
+/**
+ * Scroll Service
+ * One source of scroll state, read from Lenis so every effect uses the same
+ * smoothed values:
+ * - scroll: local position on the current page
+ * - virtualScroll: global position, continuous across page transitions
+ *   (the grass field keeps moving instead of jumping back to 0)
+ * - velocity: Lenis velocity (px per frame), direction: 1 down / -1 up / 0
+ * - progress: 0-1 through the current page
+ * Components subscribe here instead of adding window scroll listeners.
+ * Each change produces a new frozen state object, so listeners may keep it.
+ */
+class ScrollService {
+  constructor() {
+    this.lenis = null;
+    this.offset = 0; // Virtual position where the current page's 0 sits
+    this.listeners = new Set();
+    this.state = Object.freeze({
+      scroll: 0,
+      virtualScroll: 0,
+      velocity: 0,
+      direction: 0,
+      progress: 0,
+    });
+  }
+
+  attach(lenis) {
+    this.lenis = lenis;
+    lenis.on('scroll', () => this.update());
+    this.update();
+  }
+
+  // Re-read Lenis; listeners only hear about actual changes
+  update() {
+    if (!this.lenis) return;
+    const { scroll, velocity, direction, progress } = this.lenis;
+    const virtualScroll = this.offset + scroll;
+    const previous = this.state;
+    if (
+      scroll === previous.scroll &&
+      velocity === previous.velocity &&
+      virtualScroll === previous.virtualScroll
+    ) {
+      return;
+    }
+
+    this.state = Object.freeze({
+      scroll,
+      virtualScroll,
+      velocity,
+      direction: direction || 0,
+      progress: Number.isFinite(progress) ? progress : 0,
+    });
+    this.notify();
+  }
+
+  /**
+   * Jump to `y` on the current page without moving virtualScroll
+   * (page enter, back/forward restoration).
+   */
+  jumpTo(y) {
+    const virtualScroll = this.state.virtualScroll;
+    // Offset first: the jump notifies synchronously via Lenis' scroll event
+    const target = Math.min(Math.max(y, 0), this.lenis.limit);
+    this.offset = virtualScroll - target;
+    this.lenis.scrollTo(y, { immediate: true });
+    // In case Lenis landed elsewhere (limit not measured yet)
+    this.offset = virtualScroll - this.lenis.scroll;
+    this.update();
+  }
+
+  get scroll() {
+    return this.state.scroll;
+  }
+
+  get virtualScroll() {
+    return this.state.virtualScroll;
+  }
+
+  get velocity() {
+    return this.state.velocity;
+  }
+
+  get direction() {
+    return this.state.direction;
+  }
+
+  get progress() {
+    return this.state.progress;
+  }
+
+  /**
+   * @param {(state: {scroll: number, virtualScroll: number, velocity: number,
+   *   direction: number, progress: number}) => void} callback
+   *   `state` is a frozen snapshot
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    // Immediate callback with current state
+    callback(this.state);
+
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach((callback) => callback(this.state));
+  }
+}
+
+export const scrollService = new ScrollService();
@@ -0,0 +1,64 @@
+/**
+ * Service Worker
+ * Registers /sw.js (media cache) and tells it which assets to precache.
+ * Also answers "is this URL cached?" so loaders can skip the buffer wait
+ * on repeat visits.
+ */
+import { Config } from '../settings.js';
+
+const CACHE_PREFIX = 'bunqlabs-media-';
+
+function isSupported() {
+  return (
+    Config.ServiceWorker.enabled &&
+    'serviceWorker' in navigator &&
+    window.isSecureContext
+  );
+}
+
+export function registerServiceWorker() {
+  if (!isSupported()) return Promise.resolve(null);
+
+  const url = `./sw.js?v=${encodeURIComponent(Config.ServiceWorker.version)}`;
+  return navigator.serviceWorker
+    .register(url, { scope: './' })
+    .then((registration) => {
+      console.log(
+        '[SW] Registered, cache version',
+        Config.ServiceWorker.version,
+      );
+      return registration;
+    })
+    .catch((err) => {
+      console.warn('[SW] Registration failed:', err);
+      return null;
+    });
+}
+
+/**
+ * Ask the active worker to store full copies of `urls`.
+ * Call after the page's own loads so precaching doesn't compete with them.
+ * @param {string[]} urls Absolute URLs
+ */
+export function precacheMedia(urls) {
+  if (!isSupported() || urls.length === 0) return;
+
+  navigator.serviceWorker.ready.then((registration) => {
+    if (registration.active) {
+      registration.active.postMessage({ type: 'precache', urls });
+    }
+  });
+}
+
+// Resolves true if the current media cache holds `url`
+export function isMediaCached(url) {
+  if (!isSupported() || !window.caches) return Promise.resolve(false);
+
+  const name = `${CACHE_PREFIX}v${Config.ServiceWorker.version}`;
+  return caches
+    .has(name)
+    .then((exists) => exists && caches.open(name))
+    .then((cache) => (cache ? cache.match(url) : null))
+    .then((response) => !!response)
+    .catch(() => false);
+}
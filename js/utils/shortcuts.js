@@ -0,0 +1,194 @@
+/**
+ * Keyboard Shortcuts
+ * One keydown listener for the whole site. Components register their keys in
+ * init() and call the returned unregister in destroy(), so shortcuts only
+ * exist while the component is mounted. `?` opens a help overlay listing
+ * whatever is registered right now.
+ * Keys are ignored while typing (inputs, textareas, contenteditable) and
+ * when Ctrl/Cmd/Alt is held, so browser shortcuts keep working.
+ */
+import { i18n } from './i18n.js';
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+};
+
+class ShortcutManager {
+  constructor() {
+    this.bindings = [];
+    this.overlay = null;
+    this.returnFocus = null; // Focused element before the help overlay opened
+    this.boundKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  init() {
+    document.addEventListener('keydown', this.boundKeyDown);
+
+    this.register({
+      key: '?',
+      description: 'shortcuts.help',
+      handler: () => this.toggleHelp(),
+    });
+    this.register({
+      key: 'Escape',
+      description: 'shortcuts.close',
+      when: () => this.isHelpOpen(),
+      handler: () => this.toggleHelp(false),
+    });
+
+    console.log('[Utils] Keyboard shortcuts initialized');
+  }
+
+  /**
+   * @param {{key: string, shift?: boolean, description: string,
+   *   handler: (e: KeyboardEvent) => void, when?: () => boolean}} binding
+   *   `key` is a KeyboardEvent.key ('m', 'ArrowLeft', '?'), `description` an
+   *   i18n key (or plain text), `when` limits it to a context (e.g. focused slider)
+   * @returns {() => void} Unregister
+   */
+  register(binding) {
+    const entry = { shift: false, when: null, ...binding };
+    this.bindings.push(entry);
+    return () => {
+      this.bindings = this.bindings.filter((item) => item !== entry);
+    };
+  }
+
+  handleKeyDown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTyping(e.target)) return;
+
+    // Latest registration wins, so page components override session keys
+    for (let i = this.bindings.length - 1; i >= 0; i--) {
+      const binding = this.bindings[i];
+      if (!matches(binding, e)) continue;
+      if (binding.when && !binding.when()) continue;
+
+      e.preventDefault();
+      binding.handler(e);
+      return;
+    }
+  }
+
+  // === HELP OVERLAY ===
+
+  isHelpOpen() {
+    return !!this.overlay && !this.overlay.hidden;
+  }
+
+  toggleHelp(open = !this.isHelpOpen()) {
+    if (!this.overlay) {
+      this.overlay = createOverlay(() => this.toggleHelp(false));
+    }
+    const wasOpen = this.isHelpOpen();
+    if (open) this.renderHelp();
+    this.overlay.hidden = !open;
+
+    if (open && !wasOpen) {
+      // Hand focus back to whatever opened the overlay once it closes
+      this.returnFocus = document.activeElement;
+      this.overlay.querySelector('button').focus();
+    } else if (!open && wasOpen) {
+      const target = this.returnFocus;
+      this.returnFocus = null;
+      if (target && target.isConnected && target.focus) target.focus();
+    }
+  }
+
+  renderHelp() {
+    this.overlay.querySelector('.shortcut-help-title').textContent =
+      translate('shortcuts.title');
+
+    // Same key + text from several instances (two sliders) is listed once
+    const rows = new Map();
+    this.bindings.forEach((binding) => {
+      const keys = formatKey(binding);
+      const text = translate(binding.description);
+      rows.set(`${keys}|${text}`, { keys, text });
+    });
+
+    const list = this.overlay.querySelector('.shortcut-help-list');
+    list.innerHTML = '';
+    rows.forEach(({ keys, text }) => {
+      const dt = document.createElement('dt');
+      const kbd = document.createElement('kbd');
+      kbd.textContent = keys;
+      dt.appendChild(kbd);
+      const dd = document.createElement('dd');
+      dd.textContent = text;
+      list.append(dt, dd);
+    });
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.boundKeyDown);
+    if (this.overlay) this.overlay.remove();
+    this.overlay = null;
+    this.bindings = [];
+  }
+}
+
+// Letters respect Shift (M vs Shift+M); symbols like '?' already imply it
+function matches(binding, e) {
+  if (binding.key.length === 1 && /[a-z]/i.test(binding.key)) {
+    return (
+      e.key.toLowerCase() === binding.key.toLowerCase() &&
+      e.shiftKey === binding.shift
+    );
+  }
+  return e.key === binding.key;
+}
+
+function isTyping(target) {
+  if (!target || !target.closest) return false;
+  return !!target.closest(
+    'input, textarea, select, [contenteditable=""], [contenteditable="true"]',
+  );
+}
+
+function formatKey({ key, shift }) {
+  const label = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  return shift ? `Shift + ${label}` : label;
+}
+
+function translate(key) {
+  return i18n.t(key) ?? key;
+}
+
+function createOverlay(onClose) {
+  const overlay = document.createElement('div');
+  overlay.className = 'shortcut-help';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.hidden = true;
+  overlay.innerHTML = `
+    <div class="shortcut-help-panel">
+      <h2 class="shortcut-help-title"></h2>
+      <dl class="shortcut-help-list"></dl>
+      <button type="button" class="shortcut-help-close">Esc</button>
+    </div>
+  `;
+
+  overlay.querySelector('button').addEventListener('click', onClose);
+  // Click on the backdrop closes, clicks inside the panel don't
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) onClose();
+  });
+
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+/**
+ * True while `el` has keyboard focus inside it or the pointer over it,
+ * i.e. the slider the visitor is "on" when several share a page.
+ */
+export function isFocusedWithin(el) {
+  return !!el && (el.contains(document.activeElement) || el.matches(':hover'));
+}
+
+export const shortcuts = new ShortcutManager();
@@ -0,0 +1,33 @@
+/**
+ * Safe Storage
+ * localStorage access that never throws. With storage disabled (private mode,
+ * blocked cookies) reads return null and writes are dropped, so a stored
+ * choice only lasts for the current page load.
+ */
+
+export function readStored(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+// null removes the key
+export function writeStored(key, value) {
+  try {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, String(value));
+  } catch (err) {
+    // Storage disabled or full: dropped
+  }
+}
+
+// null when missing or not valid JSON
+export function readStoredJSON(key) {
+  try {
+    return JSON.parse(readStored(key));
+  } catch (err) {
+    return null;
+  }
+}
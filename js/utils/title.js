@@ -2,9 +2,10 @@
  * Page Title Changer
  * Changes the document title when the tab loses focus.
  */
+import { i18n } from './i18n.js';
+
 export function initPageTitleChanger() {
   const documentTitleStore = document.title;
-  const documentTitleOnBlur = "Wait! There's still more 👀";
 
   // Set original title if user is on the site
   window.addEventListener('focus', () => {
@@ -13,7 +14,7 @@ export function initPageTitleChanger() {
 
   // If user leaves tab, set the alternative title
   window.addEventListener('blur', () => {
-    document.title = documentTitleOnBlur;
+    document.title = i18n.t('title.blur');
   });
 
   console.log('[Utils] Page Title Changer initialized');
@@ -3,6 +3,7 @@
  * Pauses heavy animations and tick loops when the tab is inactive.
  */
 import gsap from 'https://unpkg.com/gsap@3.12.5/index.js?module';
+import { sessionScope } from './disposables.js';
 
 export function initPageVisibility(lenisInstance) {
   function handleVisibilityChange() {
@@ -19,14 +20,10 @@ export function initPageVisibility(lenisInstance) {
 
   document.addEventListener('visibilitychange', handleVisibilityChange);
 
-  // No disposable needed for this global listener usually, but for consistency:
-  if (window.addDisposable) {
-    window.addDisposable(() => {
-      // Actually, we usually keep this global, but if we wanted to be strict per page:
-      // document.removeEventListener('visibilitychange', handleVisibilityChange);
-      // However, visibility logic usually persists across the session.
-    });
-  }
+  // Visibility logic persists across page transitions
+  sessionScope.add(() => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  });
 
   console.log('[Utils] Page Visibility Manager initialized');
 }
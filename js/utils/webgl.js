@@ -0,0 +1,18 @@
+/**
+ * WebGL Support
+ * Capability check run once at boot, before any renderer is created.
+ */
+export function isWebGLAvailable() {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return false;
+
+    // Release the probe right away, browsers cap the number of live contexts
+    const ext = gl.getExtension('WEBGL_lose_context');
+    if (ext) ext.loseContext();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Media Service Worker
+ * Cache-first for the heavy media (videos, GLB, textures, audio) so repeat
+ * visits skip the network. Registered by js/utils/serviceWorker.js.
+ * - Versioned: the cache name comes from `?v=` on the script URL; bumping
+ *   Config.ServiceWorker.version installs a new worker that drops old caches
+ * - Range requests: <video>/<audio> ask for byte ranges, which are sliced
+ *   out of the cached full file (206 Partial Content). The file's body is read
+ *   once per URL and reused for every later range
+ * - Precache: the page posts {type: 'precache', urls} once its own loads are done
+ */
+const CACHE_PREFIX = 'bunqlabs-media-';
+const VERSION = new URL(self.location.href).searchParams.get('v') || '1';
+const CACHE_NAME = `${CACHE_PREFIX}v${VERSION}`;
+const MEDIA_PATTERN = /\.(mp4|webm|mp3|m4a|glb|gltf|webp|png|jpe?g|wasm)$/i;
+
+const precacheUrls = new Set();
+const inFlight = new Map(); // url -> Promise, dedupes precache fetches
+const bodies = new Map(); // url -> Promise<Blob>, cached bodies sliced for ranges
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'precache' || !Array.isArray(data.urls)) return;
+
+  data.urls.forEach((url) => precacheUrls.add(url));
+  event.waitUntil(Promise.all(data.urls.map((url) => cacheFull(url))));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !isMedia(request.url)) return;
+
+  event.respondWith(respond(request));
+});
+
+function isMedia(url) {
+  if (precacheUrls.has(url)) return true;
+  const { pathname } = new URL(url);
+  return MEDIA_PATTERN.test(pathname);
+}
+
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+  // Match by URL only: the Range header must not affect the lookup
+  const cached = await cache.match(request.url);
+  const range = request.headers.get('range');
+
+  if (cached) {
+    return range ? sliceRange(request.url, cached, range) : cached;
+  }
+
+  const response = await fetch(request);
+  // Only complete bodies are cached; range misses stream from the network
+  // and get filled in by the precache pass instead
+  if (!range && response.status === 200) {
+    cache.put(request.url, response.clone()).catch(() => {});
+  }
+  return response;
+}
+
+function cacheFull(url) {
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const task = caches
+    .open(CACHE_NAME)
+    .then(async (cache) => {
+      if (await cache.match(url)) return;
+      const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+      if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await cache.put(url, response);
+      bodies.delete(url);
+      console.log(`[SW] Cached ${url}`);
+    })
+    .catch((err) => console.warn(`[SW] Precache failed for ${url}:`, err))
+    .finally(() => inFlight.delete(url));
+
+  inFlight.set(url, task);
+  return task;
+}
+
+// "bytes=start-end", "bytes=start-" or "bytes=-suffix" (single range only)
+async function sliceRange(url, cached, header) {
+  if (!bodies.has(url)) {
+    const body = cached.blob();
+    body.catch(() => bodies.delete(url));
+    bodies.set(url, body);
+  }
+  const blob = await bodies.get(url);
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  let start = NaN;
+  let end = size - 1;
+  if (match && match[1] !== '') {
+    start = Number(match[1]);
+    if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+  } else if (match && match[2] !== '') {
+    start = Math.max(0, size - Number(match[2]));
+  }
+
+  if (Number.isNaN(start) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` },
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type':
+        cached.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes',
+    },
+  });
+}